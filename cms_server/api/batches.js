@@ -0,0 +1,99 @@
+// SOAP operation handlers for order batches
+import { TNS, SCHEMA_VALIDATION, validateElement } from '../src/schema.js';
+import { getOrder } from '../src/orders.js';
+import { getInvoice } from '../src/billing.js';
+import { MAX_BATCH_ORDERS, recordBatch, getBatch } from '../src/batches.js';
+import { canAccessClient } from '../src/wssecurity.js';
+import { placeOrder } from './orders.js';
+
+function toArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// One order of a batch: the CreateOrderRequest schema, then the same rules as CreateOrder
+function placeBatchOrder(payload, position, req) {
+  const fields = payload && typeof payload === 'object' ? payload : {};
+  const clientOrderRef = typeof fields.ClientOrderRef === 'string' ? fields.ClientOrderRef : null;
+
+  if (SCHEMA_VALIDATION) {
+    const violations = validateElement('CreateOrderRequest', payload);
+    if (violations.length) {
+      return {
+        clientOrderRef,
+        fault: {
+          code: 'ValidationFailed',
+          message: 'Order does not match the CMS schema',
+          validationErrors: violations.map(({ path, message }) => ({ path: path.replace(/^CreateOrderRequest/, `Order[${position}]`), message }))
+        }
+      };
+    }
+  }
+
+  const result = placeOrder(fields, req);
+  if (result.fault) return { clientOrderRef, fault: { code: result.fault.errorCode, message: result.fault.reason } };
+  return { clientOrderRef: result.order.clientOrderRef, cmsOrderId: result.order.cmsOrderId, duplicate: result.duplicate };
+}
+
+// Result as the BatchOrderResult schema type; accepted orders show their current status and amount
+function resultToXml(result, i) {
+  const xml = { Index: String(i + 1) };
+  if (result.clientOrderRef) xml.ClientOrderRef = result.clientOrderRef;
+  xml.Success = result.cmsOrderId ? 'true' : 'false';
+  if (result.cmsOrderId) {
+    const order = getOrder(result.cmsOrderId);
+    const invoice = getInvoice(order.billingRef);
+    xml.CmsOrderId = order.cmsOrderId;
+    xml.BillingRef = order.billingRef;
+    xml.Amount = invoice.total.toFixed(2);
+    xml.Currency = invoice.currency;
+    if (result.duplicate) xml.Duplicate = 'true';
+    xml.Status = order.status;
+  } else {
+    const { code, message, validationErrors = [] } = result.fault;
+    xml.Fault = { Code: code, Message: message, Error: validationErrors.map(({ path, message }) => ({ Path: path, Message: message })) };
+  }
+  return xml;
+}
+
+function batchToXml(batch) {
+  const xml = { BatchId: batch.batchId };
+  if (batch.batchRef) xml.BatchRef = batch.batchRef;
+  xml.SubmittedAt = batch.submittedAt;
+  xml.Total = String(batch.total);
+  xml.Accepted = String(batch.accepted);
+  xml.Rejected = String(batch.rejected);
+  xml.Results = { Result: batch.results.map(resultToXml) };
+  return xml;
+}
+
+export const batchHandlers = {
+  CreateOrdersBatch(payload, req) {
+    // Same test switch as CreateOrder, failing the whole batch
+    if (req.query.fail === 'true') {
+      return { fault: { code: 'Server', reason: 'Simulated CMS failure' } };
+    }
+
+    const orders = toArray(payload.Order);
+    if (orders.length > MAX_BATCH_ORDERS) {
+      return { fault: { reason: `A batch may hold at most ${MAX_BATCH_ORDERS} orders, got ${orders.length}`, errorCode: 'BatchTooLarge' } };
+    }
+
+    const batch = recordBatch({
+      batchRef: payload.BatchRef,
+      submittedFor: req.principal ? req.principal.clientId : null,
+      results: orders.map((order, i) => placeBatchOrder(order, i + 1, req))
+    });
+    console.log(`Batch ${batch.batchId}: ${batch.accepted} of ${batch.total} order(s) accepted`);
+    return { body: { CreateOrdersBatchResponse: { '$': { xmlns: TNS }, ...batchToXml(batch) } } };
+  },
+
+  GetBatchStatus(payload, req) {
+    // A client user only sees the batches it submitted
+    const batch = getBatch(payload.BatchId);
+    if (!batch || (req.principal && !canAccessClient(req.principal, batch.submittedFor))) {
+      return { fault: { reason: `Batch ${payload.BatchId} not found`, errorCode: 'BatchNotFound' } };
+    }
+    return { body: { GetBatchStatusResponse: { '$': { xmlns: TNS }, ...batchToXml(batch) } } };
+  }
+};
@@ -0,0 +1,120 @@
+// SOAP operation handlers for invoices and payments
+import { TNS } from '../src/schema.js';
+import { getClient } from '../src/clients.js';
+import { CURRENCY, getInvoice, listInvoices, recordPayment } from '../src/billing.js';
+import { canAccessClient, accessDenied } from '../src/wssecurity.js';
+
+function money(value) {
+  return value.toFixed(2);
+}
+
+// Invoice as the Invoice schema type
+export function invoiceToXml(invoice) {
+  const xml = {
+    BillingRef: invoice.billingRef,
+    ClientId: invoice.clientId,
+    CmsOrderId: invoice.cmsOrderId,
+    ContractTier: invoice.contractTier,
+    Currency: invoice.currency,
+    Lines: {
+      Line: invoice.lines.map(line => ({
+        Description: line.description,
+        Quantity: String(line.quantity),
+        UnitPrice: money(line.unitPrice),
+        Amount: money(line.amount)
+      }))
+    },
+    Total: money(invoice.total),
+    AmountPaid: money(invoice.amountPaid),
+    Balance: money(invoice.balance)
+  };
+  if (invoice.credit > 0) xml.Credit = money(invoice.credit);
+  xml.Status = invoice.status;
+  xml.IssuedAt = invoice.issuedAt;
+  xml.DueDate = invoice.dueDate;
+  if (invoice.paidAt) xml.PaidAt = invoice.paidAt;
+  xml.Payments = {
+    Payment: invoice.payments.map(payment => ({
+      PaymentRef: payment.paymentRef,
+      Amount: money(payment.amount),
+      PaidAt: payment.paidAt
+    }))
+  };
+  return xml;
+}
+
+function invoiceNotFound(billingRef) {
+  return { fault: { reason: `Invoice ${billingRef} not found`, errorCode: 'InvoiceNotFound' } };
+}
+
+// Another client's invoice looks the same to the caller as an unknown one
+function visibleInvoice(billingRef, req) {
+  const invoice = getInvoice(billingRef);
+  return invoice && canAccessClient(req.principal, invoice.clientId) ? invoice : null;
+}
+
+export const billingHandlers = {
+  GetInvoice(payload, req) {
+    const invoice = visibleInvoice(payload.BillingRef, req);
+    if (!invoice) return invoiceNotFound(payload.BillingRef);
+    return { body: { GetInvoiceResponse: { '$': { xmlns: TNS }, Invoice: invoiceToXml(invoice) } } };
+  },
+
+  ListInvoices(payload, req) {
+    const clientId = payload.ClientId;
+    if (!canAccessClient(req.principal, clientId)) {
+      return accessDenied(req.principal, `list invoices of client ${clientId}`);
+    }
+    if (!getClient(clientId)) {
+      return { fault: { reason: `Client ${clientId} not found`, errorCode: 'ClientNotFound' } };
+    }
+    if (payload.From && payload.To && payload.From > payload.To) {
+      return { fault: { reason: `From (${payload.From}) is after To (${payload.To})`, errorCode: 'InvalidPeriod' } };
+    }
+
+    const invoices = listInvoices(clientId, { from: payload.From, to: payload.To, status: payload.Status });
+    const totalBilled = invoices.reduce((sum, invoice) => sum + invoice.total, 0);
+    const totalOutstanding = invoices.reduce((sum, invoice) => sum + invoice.balance, 0);
+    return {
+      body: {
+        ListInvoicesResponse: {
+          '$': { xmlns: TNS },
+          ClientId: clientId,
+          Count: String(invoices.length),
+          TotalBilled: money(totalBilled),
+          TotalOutstanding: money(totalOutstanding),
+          Currency: CURRENCY,
+          Invoices: { Invoice: invoices.map(invoiceToXml) }
+        }
+      }
+    };
+  },
+
+  RecordPayment(payload, req) {
+    if (!visibleInvoice(payload.BillingRef, req)) return invoiceNotFound(payload.BillingRef);
+    // Checked here as well as by the schema, which SCHEMA_VALIDATION=false turns off
+    const paidAt = payload.PaidAt ? new Date(payload.PaidAt) : null;
+    if (paidAt && Number.isNaN(paidAt.getTime())) {
+      return { fault: { reason: `PaidAt "${payload.PaidAt}" is not a dateTime`, errorCode: 'InvalidPaidAt' } };
+    }
+    const result = recordPayment(payload.BillingRef, {
+      amount: Number(payload.Amount),
+      paymentRef: payload.PaymentRef,
+      paidAt: paidAt ? paidAt.toISOString() : undefined
+    });
+    if (result.error) return { fault: { reason: result.error, errorCode: result.code } };
+
+    const { invoice } = result;
+    console.log(`Payment recorded on ${invoice.billingRef}: balance ${money(invoice.balance)} ${invoice.currency} (${invoice.status})`);
+    return {
+      body: {
+        RecordPaymentResponse: {
+          '$': { xmlns: TNS },
+          Success: 'true',
+          Invoice: invoiceToXml(invoice),
+          Message: invoice.status === 'Paid' ? 'Invoice paid in full' : 'Payment recorded'
+        }
+      }
+    };
+  }
+};
@@ -0,0 +1,85 @@
+// SOAP operation handlers for status-change callback subscriptions
+import { TNS } from '../src/schema.js';
+import { getClient } from '../src/clients.js';
+import { registerCallback, getCallback, unregisterCallback, listCallbacks } from '../src/callbacks.js';
+import { canAccessClient, accessDenied } from '../src/wssecurity.js';
+
+// Subscription as the CallbackSubscription schema type
+function subscriptionToXml(subscription) {
+  const xml = { SubscriptionId: subscription.subscriptionId, Url: subscription.url };
+  if (subscription.clientId) xml.ClientId = subscription.clientId;
+  xml.SoapVersion = subscription.soapVersion;
+  xml.CreatedAt = subscription.createdAt;
+  return xml;
+}
+
+// The client a WS-Security user is restricted to, or the one asked for
+function scopedClientId(payload, req) {
+  return (req.principal && req.principal.clientId) || payload.ClientId;
+}
+
+export const callbackHandlers = {
+  RegisterCallback(payload, req) {
+    if (payload.ClientId && !canAccessClient(req.principal, payload.ClientId)) {
+      return accessDenied(req.principal, `subscribe to client ${payload.ClientId}`);
+    }
+    const clientId = scopedClientId(payload, req);
+    if (clientId && !getClient(clientId)) {
+      return { fault: { reason: `Client ${clientId} not found`, errorCode: 'ClientNotFound' } };
+    }
+    const result = registerCallback({ url: payload.Url, clientId, soapVersion: payload.SoapVersion });
+    if (result.error) return { fault: { reason: result.error, errorCode: result.code } };
+
+    const { subscription } = result;
+    console.log(`Callback ${subscription.subscriptionId} registered: ${subscription.url} (${subscription.clientId || 'all clients'})`);
+    return {
+      body: {
+        RegisterCallbackResponse: {
+          '$': { xmlns: TNS },
+          Success: 'true',
+          Subscription: subscriptionToXml(subscription),
+          Message: 'Callback registered'
+        }
+      }
+    };
+  },
+
+  UnregisterCallback(payload, req) {
+    // Another client's subscription looks the same to the caller as an unknown one
+    const subscription = getCallback(payload.SubscriptionId);
+    const result = subscription && !canAccessClient(req.principal, subscription.clientId)
+      ? { error: `Subscription ${payload.SubscriptionId} not found`, code: 'SubscriptionNotFound' }
+      : unregisterCallback(payload.SubscriptionId);
+    if (result.error) return { fault: { reason: result.error, errorCode: result.code } };
+
+    console.log(`Callback ${payload.SubscriptionId} unregistered`);
+    return {
+      body: {
+        UnregisterCallbackResponse: {
+          '$': { xmlns: TNS },
+          Success: 'true',
+          SubscriptionId: payload.SubscriptionId,
+          Message: 'Callback unregistered'
+        }
+      }
+    };
+  },
+
+  ListCallbacks(payload, req) {
+    if (payload.ClientId && !canAccessClient(req.principal, payload.ClientId)) {
+      return accessDenied(req.principal, `list callbacks of client ${payload.ClientId}`);
+    }
+    // Restricted users see only their own client's subscriptions, not the all-client ones
+    const subscriptions = listCallbacks({ clientId: scopedClientId(payload, req) })
+      .filter(subscription => canAccessClient(req.principal, subscription.clientId));
+    return {
+      body: {
+        ListCallbacksResponse: {
+          '$': { xmlns: TNS },
+          Total: String(subscriptions.length),
+          Subscriptions: { Subscription: subscriptions.map(subscriptionToXml) }
+        }
+      }
+    };
+  }
+};
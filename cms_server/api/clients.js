@@ -0,0 +1,111 @@
+// SOAP operation handlers for client account management
+import { TNS } from '../src/schema.js';
+import {
+  createClient,
+  getClient,
+  updateClient,
+  suspendClient,
+  reactivateClient,
+  listClients
+} from '../src/clients.js';
+import { canAccessClient, accessDenied } from '../src/wssecurity.js';
+
+// Client as the Client schema type; optional elements are omitted when unset
+export function clientToXml(client) {
+  const xml = { ClientId: client.clientId, Name: client.name };
+  if (client.contactEmail) xml.ContactEmail = client.contactEmail;
+  xml.ContractTier = client.contractTier;
+  xml.CreditLimit = client.creditLimit.toFixed(2);
+  xml.AccountStatus = client.accountStatus;
+  if (client.suspendedReason) xml.SuspendedReason = client.suspendedReason;
+  xml.CreatedAt = client.createdAt;
+  xml.UpdatedAt = client.updatedAt;
+  return xml;
+}
+
+// Optional decimal element as a number, or undefined when absent
+function optionalAmount(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+function clientResult(responseElement, result, message) {
+  if (result.error) return { fault: { reason: result.error, errorCode: result.code } };
+  console.log(`${message}: ${result.client.clientId}`);
+  return {
+    body: {
+      [responseElement]: {
+        '$': { xmlns: TNS },
+        Success: 'true',
+        Client: clientToXml(result.client),
+        Message: message
+      }
+    }
+  };
+}
+
+// Account management is only for WS-Security users that act for every client
+function canManageAccounts(req) {
+  return !req.principal || req.principal.clientId === null;
+}
+
+export const clientHandlers = {
+  GetClient(payload, req) {
+    if (!canAccessClient(req.principal, payload.ClientId)) {
+      return accessDenied(req.principal, `view client ${payload.ClientId}`);
+    }
+    const client = getClient(payload.ClientId);
+    if (!client) {
+      return { fault: { reason: `Client ${payload.ClientId} not found`, errorCode: 'ClientNotFound' } };
+    }
+    return { body: { GetClientResponse: { '$': { xmlns: TNS }, ...clientToXml(client) } } };
+  },
+
+  CreateClient(payload, req) {
+    if (!canManageAccounts(req)) return accessDenied(req.principal, 'manage client accounts');
+    const result = createClient({
+      clientId: payload.ClientId,
+      name: payload.Name,
+      contactEmail: payload.ContactEmail,
+      contractTier: payload.ContractTier,
+      creditLimit: optionalAmount(payload.CreditLimit)
+    });
+    return clientResult('CreateClientResponse', result, 'Client created');
+  },
+
+  UpdateClient(payload, req) {
+    if (!canManageAccounts(req)) return accessDenied(req.principal, 'manage client accounts');
+    const result = updateClient(payload.ClientId, {
+      name: payload.Name,
+      contactEmail: payload.ContactEmail,
+      contractTier: payload.ContractTier,
+      creditLimit: optionalAmount(payload.CreditLimit)
+    });
+    return clientResult('UpdateClientResponse', result, 'Client updated');
+  },
+
+  SuspendClient(payload, req) {
+    if (!canManageAccounts(req)) return accessDenied(req.principal, 'manage client accounts');
+    const result = suspendClient(payload.ClientId, payload.Reason);
+    return clientResult('SuspendClientResponse', result, 'Client suspended');
+  },
+
+  ReactivateClient(payload, req) {
+    if (!canManageAccounts(req)) return accessDenied(req.principal, 'manage client accounts');
+    const result = reactivateClient(payload.ClientId);
+    return clientResult('ReactivateClientResponse', result, 'Client reactivated');
+  },
+
+  ListClients(payload, req) {
+    if (!canManageAccounts(req)) return accessDenied(req.principal, 'manage client accounts');
+    const clients = listClients({ accountStatus: payload.AccountStatus, contractTier: payload.ContractTier });
+    return {
+      body: {
+        ListClientsResponse: {
+          '$': { xmlns: TNS },
+          Total: String(clients.length),
+          Clients: { Client: clients.map(clientToXml) }
+        }
+      }
+    };
+  }
+};
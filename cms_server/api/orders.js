@@ -0,0 +1,230 @@
+// SOAP operation handlers for orders
+import { TNS } from '../src/schema.js';
+import { checkCanOrder } from '../src/clients.js';
+import { createOrder, findExistingOrder, getOrder, searchOrders, cancelOrder, amendOrder } from '../src/orders.js';
+import { canAccessClient, accessDenied } from '../src/wssecurity.js';
+
+function isTrue(value) {
+  return value === 'true' || value === '1';
+}
+
+// Another client's order looks the same to the caller as an unknown one
+function isVisible(cmsOrderId, req) {
+  const order = getOrder(cmsOrderId);
+  return Boolean(order) && canAccessClient(req.principal, order.clientId);
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+
+function createOrderResponse({ order, invoice, duplicate }) {
+  const response = {
+    '$': { xmlns: TNS },
+    Success: 'true',
+    CmsOrderId: order.cmsOrderId,
+    BillingRef: order.billingRef,
+    Amount: invoice.total.toFixed(2),
+    Currency: invoice.currency
+  };
+  if (duplicate) response.Duplicate = 'true';
+  response.Message = duplicate ? `Order already exists for ClientOrderRef ${order.clientOrderRef}` : 'Order accepted';
+  return { body: { CreateOrderResponse: response } };
+}
+
+// Order as the OrderSummary schema type
+function orderSummaryToXml(order) {
+  return {
+    CmsOrderId: order.cmsOrderId,
+    ClientId: order.clientId,
+    ClientOrderRef: order.clientOrderRef,
+    Status: order.status,
+    BillingRef: order.billingRef,
+    CreatedAt: order.createdAt,
+    UpdatedAt: order.updatedAt
+  };
+}
+
+function orderNotFound(cmsOrderId) {
+  return { fault: { reason: `Order ${cmsOrderId} not found`, errorCode: 'OrderNotFound' } };
+}
+
+/**
+ * Accept one order: the checks and storage behind CreateOrder, also used for each order of a batch.
+ * @param {object} payload - a CreateOrderRequest (or batch Order) as parsed
+ * @param {object} req
+ * @returns {{ order: object, invoice: object, duplicate: boolean } | { fault: object }}
+ */
+export function placeOrder(payload, req) {
+  // Extract fields (use safe access)
+  const clientId = payload.ClientId || payload.clientId;
+  const givenRef = payload.ClientOrderRef || payload.clientOrderRef || payload.ClientRef;
+  const clientOrderRef = givenRef || 'local-' + Date.now();
+  const pickup = payload.PickupAddress || payload.pickup;
+  const delivery = payload.DeliveryAddress || payload.delivery;
+  const items = payload.Items || payload.items || {};
+  const contact = payload.Contact || payload.contact || '';
+
+  if (!canAccessClient(req.principal, clientId)) {
+    return accessDenied(req.principal, `order for client ${clientId}`);
+  }
+
+  // A retry with the same ClientOrderRef gets the order it already created
+  const existing = givenRef ? findExistingOrder(clientId, clientOrderRef, { pickup, delivery, items, contact }) : null;
+  if (existing && existing.error) {
+    console.log(`Order rejected: ${existing.error}`);
+    return { fault: { reason: existing.error, errorCode: existing.code } };
+  }
+  if (existing) {
+    console.log(`Order ${existing.order.cmsOrderId} already exists for ${clientId}/${clientOrderRef}`);
+    return { ...existing, duplicate: true };
+  }
+
+  // Only registered, active clients may order
+  const account = checkCanOrder(clientId);
+  if (account.error) {
+    console.log(`Order rejected: ${account.error}`);
+    return { fault: { reason: account.error, errorCode: account.code } };
+  }
+
+  // Store the order and invoice it at the client's contract rates
+  return { ...createOrder({ client: account.client, clientOrderRef, pickup, delivery, items, contact }), duplicate: false };
+}
+
+export const orderHandlers = {
+  CreateOrder(payload, req) {
+    // Optional: support a query param to cause failure for testing
+    if (req.query.fail === 'true') {
+      return { fault: { code: 'Server', reason: 'Simulated CMS failure' } };
+    }
+
+    const result = placeOrder(payload, req);
+    return result.fault ? result : createOrderResponse(result);
+  },
+
+  GetOrderStatus(payload, req) {
+    const cmsOrderId = payload.CmsOrderId || payload.cmsOrderId || payload.CmsId;
+    const ord = cmsOrderId && isVisible(cmsOrderId, req) ? getOrder(cmsOrderId) : null;
+    if (!ord) {
+      return {
+        body: {
+          GetOrderStatusResponse: {
+            '$': { xmlns: TNS },
+            CmsOrderId: cmsOrderId || '',
+            Status: 'NotFound',
+            Message: 'Order not found'
+          }
+        }
+      };
+    }
+    return {
+      body: {
+        GetOrderStatusResponse: {
+          '$': { xmlns: TNS },
+          CmsOrderId: cmsOrderId,
+          Status: ord.status,
+          Message: 'OK',
+          History: {
+            Change: ord.statusHistory.map(change => {
+              const xml = { Status: change.status, At: change.at };
+              if (change.note) xml.Note = change.note;
+              return xml;
+            })
+          }
+        }
+      }
+    };
+  },
+
+  SearchOrders(payload, req) {
+    if (payload.ClientId && !canAccessClient(req.principal, payload.ClientId)) {
+      return accessDenied(req.principal, `search orders of client ${payload.ClientId}`);
+    }
+    if (payload.From && payload.To && payload.From > payload.To) {
+      return { fault: { reason: `From (${payload.From}) is after To (${payload.To})`, errorCode: 'InvalidPeriod' } };
+    }
+
+    const matches = searchOrders({
+      // WS-Security users restricted to one client only ever search its orders
+      clientId: (req.principal && req.principal.clientId) || payload.ClientId,
+      clientOrderRef: payload.ClientOrderRef,
+      status: payload.Status,
+      from: payload.From,
+      to: payload.To,
+      sortBy: payload.SortBy,
+      sortDirection: payload.SortDirection
+    });
+    const page = payload.Page ? Number(payload.Page) : 1;
+    const pageSize = payload.PageSize ? Number(payload.PageSize) : DEFAULT_PAGE_SIZE;
+    const orders = matches.slice((page - 1) * pageSize, page * pageSize);
+    return {
+      body: {
+        SearchOrdersResponse: {
+          '$': { xmlns: TNS },
+          Total: String(matches.length),
+          Page: String(page),
+          PageSize: String(pageSize),
+          Orders: { Order: orders.map(orderSummaryToXml) }
+        }
+      }
+    };
+  },
+
+  CancelOrder(payload, req) {
+    if (!isVisible(payload.CmsOrderId, req)) return orderNotFound(payload.CmsOrderId);
+    const result = cancelOrder(payload.CmsOrderId, {
+      reason: payload.Reason,
+      acceptFee: isTrue(payload.AcceptCancellationFee)
+    });
+    if (result.error) {
+      console.log(`Cancellation rejected: ${result.error}`);
+      return { fault: { reason: result.error, errorCode: result.code } };
+    }
+
+    const { order, invoice, fee } = result;
+    console.log(`Order ${order.cmsOrderId} cancelled (fee ${fee.toFixed(2)} ${invoice.currency})`);
+    return {
+      body: {
+        CancelOrderResponse: {
+          '$': { xmlns: TNS },
+          Success: 'true',
+          CmsOrderId: order.cmsOrderId,
+          Status: order.status,
+          CancellationFee: fee.toFixed(2),
+          Currency: invoice.currency,
+          BillingRef: order.billingRef,
+          Message: fee ? 'Order cancelled; cancellation fee invoiced' : 'Order cancelled; invoice voided'
+        }
+      }
+    };
+  },
+
+  UpdateOrder(payload, req) {
+    if (!isVisible(payload.CmsOrderId, req)) return orderNotFound(payload.CmsOrderId);
+    const result = amendOrder(payload.CmsOrderId, {
+      pickup: payload.PickupAddress,
+      delivery: payload.DeliveryAddress,
+      items: payload.Items === undefined ? undefined : (payload.Items || {}),
+      contact: payload.Contact
+    });
+    if (result.error) {
+      console.log(`Amendment rejected: ${result.error}`);
+      return { fault: { reason: result.error, errorCode: result.code } };
+    }
+
+    const { order, invoice } = result;
+    console.log(`Order ${order.cmsOrderId} amended`);
+    return {
+      body: {
+        UpdateOrderResponse: {
+          '$': { xmlns: TNS },
+          Success: 'true',
+          CmsOrderId: order.cmsOrderId,
+          Status: order.status,
+          BillingRef: order.billingRef,
+          Amount: invoice.total.toFixed(2),
+          Currency: invoice.currency,
+          Message: 'Order updated'
+        }
+      }
+    };
+  }
+};
@@ -1,9 +1,20 @@
 import express from 'express';
-import { parseStringPromise, Builder, processors } from 'xml2js';
-import { v4 as uuidv4 } from 'uuid';
 import morgan from 'morgan';
+import { SCHEMA_VALIDATION, operations, validateElement, setOrderStatuses } from './src/schema.js';
+import { renderWsdl, renderXsd } from './src/wsdl.js';
+import { SOAP_11, parseSoapRequest, resolveOperation, sendSoap, sendSoapFault } from './src/soap.js';
+import { listClients } from './src/clients.js';
+import { ORDER_SORT_FIELDS, SORT_DIRECTIONS, searchOrders, failOrder, onStatusChange } from './src/orders.js';
+import { loadLifecycle, orderStatuses } from './src/lifecycle.js';
+import { orderHandlers } from './api/orders.js';
+import { clientHandlers } from './api/clients.js';
+import { billingHandlers } from './api/billing.js';
+import { DELIVERY_STATUSES, notifyStatusChange, listCallbacks, listDeliveries } from './src/callbacks.js';
+import { callbackHandlers } from './api/callbacks.js';
+import { listBatches } from './src/batches.js';
+import { batchHandlers } from './api/batches.js';
+import { loadCredentials, isEnabled as isWsSecurityEnabled, authenticate } from './src/wssecurity.js';
 
-const stripPrefix = processors.stripPrefix;
 const app = express();
 app.use(morgan('dev'));
 
@@ -12,185 +23,145 @@ app.use(express.text({ type: '*/*', limit: '1mb' }));
 
 const PORT = process.env.PORT || 3006;
 
-// In-memory storage for cms orders
-const cmsOrders = {}; // cmsOrders[cmsId] = { status, clientOrderRef, createdAt, payload, billingRef }
+// Order states, transitions and delays (config/lifecycle.json by default); an invalid file stops startup
+const lifecycle = loadLifecycle(process.env.ORDER_LIFECYCLE_FILE || undefined);
+setOrderStatuses(orderStatuses());
+console.log(`Order lifecycle loaded from ${lifecycle.file} (states: ${lifecycle.states.join(', ')})`);
 
-// Helpers
-function makeCmsId() {
-  return 'CMS-' + uuidv4().split('-')[0].toUpperCase();
+// WS-Security UsernameToken users (see config/credentials.example.json); requests are anonymous without a file
+if (process.env.WS_SECURITY_CREDENTIALS_FILE) {
+  const credentials = loadCredentials(process.env.WS_SECURITY_CREDENTIALS_FILE);
+  console.log(`WS-Security enabled: ${credentials.users} user(s) from ${credentials.file}`);
 }
 
-function buildSoapEnvelope(bodyObj) {
-  const builder = new Builder({ headless: true, renderOpts: { pretty: true } });
-  // bodyObj expected to be { 'soap:Body': { ... } }
-  const envelope = {
-    'soap:Envelope': {
-      '$': { 'xmlns:soap': 'http://schemas.xmlsoap.org/soap/envelope/' },
-      ...bodyObj
-    }
-  };
-  return builder.buildObject(envelope);
-}
-
-function soapFault(faultString) {
-  const body = { 'soap:Body': { 'soap:Fault': { faultcode: 'soap:Client', faultstring: faultString } } };
-  return buildSoapEnvelope(body);
-}
+// Push every order status change to registered callback URLs
+onStatusChange(notifyStatusChange);
+
+// Operation handlers: (payload, req) => { body } with the response element, or { fault }
+const handlers = {
+  ...orderHandlers,
+  ...batchHandlers,
+  ...clientHandlers,
+  ...billingHandlers,
+  ...callbackHandlers
+};
+
+// Service contract: GET /soap?wsdl (WSDL with inline schema) or GET /soap?xsd (schema only)
+app.get('/soap', (req, res) => {
+  if ('wsdl' in req.query) {
+    const address = `${req.protocol}://${req.get('host')}/soap`;
+    return res.type('text/xml').send(renderWsdl(address));
+  }
+  if ('xsd' in req.query) {
+    return res.type('text/xml').send(renderXsd());
+  }
+  return res.status(400).type('text/plain').send('Use GET /soap?wsdl or GET /soap?xsd, or POST a SOAP envelope');
+});
 
-// Main SOAP endpoint
+// Main SOAP endpoint (SOAP 1.1 and 1.2; responses use the version of the request)
 app.post('/soap', async (req, res) => {
   const rawXml = req.body || '';
+  let version = SOAP_11;
   if (!rawXml) {
-    return res.status(400).type('text/xml').send(soapFault('Empty request body'));
+    return sendSoapFault(res, version, { reason: 'Empty request body' });
   }
 
   try {
-    // Parse XML and strip namespace prefixes to make keys simple
-    const parsed = await parseStringPromise(rawXml, { explicitArray: false, tagNameProcessors: [stripPrefix] });
-
-    // Typical structure: parsed.Envelope.Body.<ActionRequest>
-    const envelope = parsed.Envelope || parsed['soap:Envelope'] || parsed;
-    const body = envelope.Body || envelope['soap:Body'];
-    if (!body) {
-      return res.status(400).type('text/xml').send(soapFault('Invalid SOAP: Body not found'));
-    }
-
-    const actionKey = Object.keys(body)[0]; // e.g., CreateOrderRequest
-    if (!actionKey) {
-      return res.status(400).type('text/xml').send(soapFault('No SOAP action found'));
-    }
-
-    const action = actionKey.replace(/^.*:/, ''); // safe strip
-    const payload = body[actionKey];
-
-    // Debug log
-    console.log('SOAP action:', action);
-    // Handle actions
-    if (/CreateOrder/i.test(action)) {
-      // Extract fields (use safe access)
-      const clientId = payload.ClientId || payload.clientId || 'unknown';
-      const clientOrderRef = payload.ClientOrderRef || payload.clientOrderRef || payload.ClientRef || 'local-' + Date.now();
-      const pickup = payload.PickupAddress || payload.pickup;
-      const delivery = payload.DeliveryAddress || payload.delivery;
-      const items = payload.Items || payload.items || {};
-      const contact = payload.Contact || payload.contact || '';
-
-      // Optional: support a query param to cause failure for testing
-      if (req.query.fail === 'true') {
-        const faultXml = soapFault('Simulated CMS failure');
-        return res.status(500).type('text/xml').send(faultXml);
+    const request = await parseSoapRequest(rawXml, req.headers);
+    version = request.version;
+    if (request.fault) return sendSoapFault(res, version, request.fault);
+
+    // Who is calling; handlers limit what a user mapped to one ClientId can see and do
+    if (isWsSecurityEnabled()) {
+      const auth = authenticate(request.header);
+      if (auth.fault) {
+        console.log(`WS-Security rejected request: ${auth.fault.reason}`);
+        return sendSoapFault(res, version, auth.fault);
       }
-
-      // Create CmsOrderId & store
-      const cmsOrderId = makeCmsId();
-      const billingRef = 'INV-' + Date.now();
-
-      cmsOrders[cmsOrderId] = {
-        cmsOrderId,
-        clientId,
-        clientOrderRef,
-        pickup,
-        delivery,
-        items,
-        contact,
-        billingRef,
-        status: 'Received',
-        createdAt: new Date().toISOString()
-      };
-
-      // Simulate asynchronous processing: Received -> Processing -> Confirmed
-      setTimeout(() => {
-        if (cmsOrders[cmsOrderId]) cmsOrders[cmsOrderId].status = 'Processing';
-      }, 2000);
-      setTimeout(() => {
-        if (cmsOrders[cmsOrderId]) cmsOrders[cmsOrderId].status = 'Confirmed';
-      }, 6000);
-
-      // Build SOAP response
-      const respBody = {
-        'soap:Body': {
-          CreateOrderResponse: {
-            '$': { 'xmlns': 'http://swiftlogistics.cms/' },
-            Success: 'true',
-            CmsOrderId: cmsOrderId,
-            BillingRef: billingRef,
-            Message: 'Order accepted'
-          }
-        }
-      };
-      const xmlResponse = buildSoapEnvelope(respBody);
-      res.type('text/xml').send(xmlResponse);
-      return;
+      req.principal = auth.principal;
     }
 
-    if (/GetOrderStatus/i.test(action)) {
-      const cmsOrderId = payload.CmsOrderId || payload.cmsOrderId || payload.CmsId;
-      if (!cmsOrderId || !cmsOrders[cmsOrderId]) {
-        const resp = {
-          'soap:Body': {
-            GetOrderStatusResponse: {
-              '$': { xmlns: 'http://swiftlogistics.cms/' },
-              CmsOrderId: cmsOrderId || '',
-              Status: 'NotFound',
-              Message: 'Order not found'
-            }
-          }
-        };
-        return res.type('text/xml').status(200).send(buildSoapEnvelope(resp));
-      }
-      const ord = cmsOrders[cmsOrderId];
-      const resp = {
-        'soap:Body': {
-          GetOrderStatusResponse: {
-            '$': { xmlns: 'http://swiftlogistics.cms/' },
-            CmsOrderId: cmsOrderId,
-            Status: ord.status,
-            Message: 'OK'
-          }
-        }
-      };
-      return res.type('text/xml').send(buildSoapEnvelope(resp));
-    }
+    // Dispatch on SOAPAction / the action parameter, or the body element when neither is sent
+    const { operation, fault } = resolveOperation(request);
+    if (fault) return sendSoapFault(res, version, fault);
 
-    if (/GetClient/i.test(action)) {
-      // Minimal stub: return client info based on ClientId
-      const clientId = payload.ClientId || payload.clientId;
-      const resp = {
-        'soap:Body': {
-          GetClientResponse: {
-            '$': { xmlns: 'http://swiftlogistics.cms/' },
-            ClientId: clientId || '',
-            Name: 'Demo Client',
-            AccountStatus: 'Active'
-          }
-        }
-      };
-      return res.type('text/xml').send(buildSoapEnvelope(resp));
+    if (SCHEMA_VALIDATION) {
+      const violations = validateElement(operations[operation].input, request.payload);
+      if (violations.length) {
+        console.log(`Schema validation failed for ${operation}: ${violations.length} violation(s)`);
+        return sendSoapFault(res, version, { reason: 'Request does not match the CMS schema', validationErrors: violations });
+      }
     }
 
-    // Unknown action -> SOAP fault
-    return res.status(400).type('text/xml').send(soapFault(`Unknown action "${action}"`));
+    // Debug log
+    console.log(`SOAP ${version.version} action:`, operation + (req.principal ? ` (user ${req.principal.username})` : ''));
+    const payload = request.payload && typeof request.payload === 'object' ? request.payload : {};
+    const result = handlers[operation](payload, req);
+    if (result.fault) return sendSoapFault(res, version, result.fault);
+    return sendSoap(res, version, result.body);
   } catch (err) {
     console.error('Error parsing SOAP:', err);
-    return res.status(500).type('text/xml').send(soapFault('Server error parsing SOAP'));
+    return sendSoapFault(res, version, { code: 'Server', reason: 'Server error parsing SOAP' });
   }
 });
 
 
 // --- Admin / debug endpoints ---
+
+// The SearchOrders filters as query parameters (?clientId, ?clientOrderRef, ?status, ?from, ?to as YYYY-MM-DD,
+// ?sortBy, ?sortDirection); ?page and ?pageSize page the result, X-Total-Count has the number of matches
 app.get('/admin/orders', (req, res) => {
-  res.json(Object.values(cmsOrders));
+  const { clientId, clientOrderRef, status, from, to, sortBy, sortDirection, page, pageSize } = req.query;
+  const badDate = [from, to].find(date => date && !(/^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(date))));
+  if (badDate) return res.status(400).json({ error: `from and to must be dates (YYYY-MM-DD), got "${badDate}"` });
+  if (sortBy && !ORDER_SORT_FIELDS[sortBy]) {
+    return res.status(400).json({ error: `sortBy must be one of: ${Object.keys(ORDER_SORT_FIELDS).join(', ')}` });
+  }
+  if (sortDirection && !SORT_DIRECTIONS.includes(sortDirection)) {
+    return res.status(400).json({ error: `sortDirection must be one of: ${SORT_DIRECTIONS.join(', ')}` });
+  }
+  const badNumber = [page, pageSize].find(value => value !== undefined && !/^[1-9]\d*$/.test(value));
+  if (badNumber !== undefined) return res.status(400).json({ error: `page and pageSize must be positive integers, got "${badNumber}"` });
+
+  const matches = searchOrders({ clientId, clientOrderRef, status, from, to, sortBy, sortDirection });
+  res.set('X-Total-Count', String(matches.length));
+  if (!page && !pageSize) return res.json(matches);
+  const size = Number(pageSize || 20);
+  const start = (Number(page || 1) - 1) * size;
+  res.json(matches.slice(start, start + size));
+});
+
+app.get('/admin/batches', (req, res) => {
+  res.json(listBatches());
+});
+
+app.get('/admin/clients', (req, res) => {
+  res.json(listClients());
+});
+
+// Callback subscriptions and the delivery log (?status=pending|delivered|failed, ?cmsOrderId=, ?subscriptionId=)
+app.get('/admin/callbacks', (req, res) => {
+  res.json(listCallbacks());
+});
+
+app.get('/admin/callbacks/deliveries', (req, res) => {
+  const { status, cmsOrderId, subscriptionId } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  res.json(listDeliveries({ status, cmsOrderId, subscriptionId }));
 });
 
 // Force a status or simulate failure for an order
 app.post('/admin/orders/:cmsId/fail', express.json(), (req, res) => {
   const cmsId = req.params.cmsId;
-  if (!cmsOrders[cmsId]) return res.status(404).json({ error: 'not found' });
-  cmsOrders[cmsId].status = 'Error';
-  return res.json({ ok: true, cmsId, newStatus: cmsOrders[cmsId].status });
+  const order = failOrder(cmsId);
+  if (!order) return res.status(404).json({ error: 'not found' });
+  return res.json({ ok: true, cmsId, newStatus: order.status });
 });
 
 app.listen(PORT, () => {
   console.log(`Mock CMS SOAP server listening on http://localhost:${PORT}/soap`);
-  console.log(`Admin endpoints: GET /admin/orders  POST /admin/orders/:cmsId/fail`);
+  console.log(`WSDL: GET http://localhost:${PORT}/soap?wsdl`);
+  console.log(`Admin endpoints: GET /admin/orders  POST /admin/orders/:cmsId/fail  GET /admin/batches  GET /admin/clients  GET /admin/callbacks  GET /admin/callbacks/deliveries`);
 });
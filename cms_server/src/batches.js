@@ -0,0 +1,43 @@
+// Order batches submitted with CreateOrdersBatch
+//
+// A batch keeps what happened to each of its orders (accepted, with the order,
+// or rejected, with the fault) so GetBatchStatus can report it later together
+// with the orders' current statuses.
+import { v4 as uuidv4 } from 'uuid';
+
+export const MAX_BATCH_ORDERS = parseInt(process.env.BATCH_MAX_ORDERS || '500', 10);
+
+const batches = new Map();
+
+/**
+ * Record a processed batch.
+ * @param {object} params
+ * @param {string} [params.batchRef] - the submitter's own reference
+ * @param {string|null} params.submittedFor - ClientId of the WS-Security user who sent it; null for anonymous or all-client users
+ * @param {Array<{ clientOrderRef: string|null, cmsOrderId?: string, duplicate?: boolean, fault?: object }>} params.results
+ *   one per order, in request order
+ * @returns {object} the batch
+ */
+export function recordBatch({ batchRef, submittedFor, results }) {
+  const accepted = results.filter(result => result.cmsOrderId).length;
+  const batch = {
+    batchId: 'BATCH-' + uuidv4().split('-')[0].toUpperCase(),
+    batchRef: batchRef || null,
+    submittedFor,
+    submittedAt: new Date().toISOString(),
+    total: results.length,
+    accepted,
+    rejected: results.length - accepted,
+    results
+  };
+  batches.set(batch.batchId, batch);
+  return batch;
+}
+
+export function getBatch(batchId) {
+  return batches.get(batchId) || null;
+}
+
+export function listBatches() {
+  return Array.from(batches.values());
+}
@@ -0,0 +1,190 @@
+// Order pricing, invoices and payments
+//
+// Every order is invoiced when it is created: a delivery fee plus a per-unit
+// handling charge for each item, both set by the client's contract tier.
+// Invoices are Issued until payments cover the total (PartiallyPaid, then
+// Paid); an unpaid balance past the due date reads as Overdue. Amending an
+// order reprices its invoice; cancelling it voids the invoice or reduces it to
+// the cancellation fee. Payments above the new total are owed back (CreditDue).
+import { v4 as uuidv4 } from 'uuid';
+
+export const CURRENCY = 'USD';
+export const INVOICE_STATUSES = ['Issued', 'PartiallyPaid', 'Paid', 'Overdue', 'Void', 'CreditDue'];
+const PAYMENT_TERMS_DAYS = parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS || '30', 10);
+
+// Contract rates per tier; the cancellation fee applies to orders cancelled once Confirmed
+export const CONTRACT_RATES = {
+  Standard: { deliveryFee: 12.0, perItem: 1.5, cancellationFee: 6.0 },
+  Premium: { deliveryFee: 9.5, perItem: 1.2, cancellationFee: 4.75 },
+  Enterprise: { deliveryFee: 7.0, perItem: 0.9, cancellationFee: 3.5 }
+};
+
+const invoices = new Map(); // invoices[billingRef]
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function makeBillingRef() {
+  return 'INV-' + uuidv4().split('-')[0].toUpperCase();
+}
+
+// Items as parsed from <Items><Item><Name/><Qty/></Item>...</Items> (one Item is not an array)
+export function parseItems(items) {
+  const list = items && items.Item !== undefined ? [].concat(items.Item) : [];
+  return list.map(item => ({ name: String(item.Name || 'Item'), qty: parseInt(item.Qty, 10) || 1 }));
+}
+
+function ratesFor(contractTier) {
+  return CONTRACT_RATES[contractTier] || CONTRACT_RATES.Standard;
+}
+
+function priceLines(contractTier, items) {
+  const rates = ratesFor(contractTier);
+  return [
+    { description: `Delivery fee (${contractTier})`, quantity: 1, unitPrice: rates.deliveryFee, amount: rates.deliveryFee },
+    ...items.map(item => ({
+      description: `Handling: ${item.name}`,
+      quantity: item.qty,
+      unitPrice: rates.perItem,
+      amount: round2(item.qty * rates.perItem)
+    }))
+  ];
+}
+
+function updateBalance(invoice) {
+  invoice.balance = round2(Math.max(0, invoice.total - invoice.amountPaid));
+  invoice.credit = round2(Math.max(0, invoice.amountPaid - invoice.total));
+  if (invoice.balance > 0) invoice.paidAt = null;
+}
+
+// New lines (and so a new total) for an invoice; payments already made are kept
+function setLines(invoice, lines) {
+  invoice.lines = lines;
+  invoice.total = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+  updateBalance(invoice);
+}
+
+function currentStatus(invoice) {
+  if (invoice.voidedAt && invoice.total === 0 && invoice.credit === 0) return 'Void';
+  if (invoice.credit > 0) return 'CreditDue';
+  if (invoice.balance <= 0) return 'Paid';
+  if (Date.now() > Date.parse(invoice.dueDate + 'T23:59:59.999Z')) return 'Overdue';
+  return invoice.amountPaid > 0 ? 'PartiallyPaid' : 'Issued';
+}
+
+// Invoice with its status as of now
+function view(invoice) {
+  return { ...invoice, status: currentStatus(invoice) };
+}
+
+/**
+ * Price an order and issue its invoice.
+ * @param {object} params
+ * @param {object} params.client - the ordering client (from the client registry)
+ * @param {string} params.cmsOrderId
+ * @param {Array<{ name: string, qty: number }>} params.items
+ * @returns {object} the invoice
+ */
+export function issueInvoice({ client, cmsOrderId, items }) {
+  const issuedAt = new Date();
+  const dueDate = new Date(issuedAt.getTime() + PAYMENT_TERMS_DAYS * 86400000).toISOString().slice(0, 10);
+  const invoice = {
+    billingRef: makeBillingRef(),
+    clientId: client.clientId,
+    cmsOrderId,
+    contractTier: client.contractTier,
+    currency: CURRENCY,
+    lines: [],
+    total: 0,
+    amountPaid: 0,
+    balance: 0,
+    credit: 0,
+    issuedAt: issuedAt.toISOString(),
+    dueDate,
+    paidAt: null,
+    voidedAt: null,
+    payments: []
+  };
+  setLines(invoice, priceLines(client.contractTier, items));
+  invoices.set(invoice.billingRef, invoice);
+  return view(invoice);
+}
+
+// Reprice an invoice after the order's items changed
+export function repriceInvoice(billingRef, items) {
+  const invoice = invoices.get(billingRef);
+  setLines(invoice, priceLines(invoice.contractTier, items));
+  return view(invoice);
+}
+
+// Cancellation fee for an order invoiced on `billingRef`
+export function cancellationFeeFor(billingRef) {
+  return ratesFor(invoices.get(billingRef).contractTier).cancellationFee;
+}
+
+// Replace an invoice's charges with the cancellation fee, or void it when no fee is due
+export function cancelInvoice(billingRef, { withFee }) {
+  const invoice = invoices.get(billingRef);
+  const fee = withFee ? cancellationFeeFor(billingRef) : 0;
+  setLines(invoice, fee
+    ? [{ description: `Cancellation fee (${invoice.contractTier})`, quantity: 1, unitPrice: fee, amount: fee }]
+    : []);
+  if (!fee) invoice.voidedAt = new Date().toISOString();
+  return view(invoice);
+}
+
+export function getInvoice(billingRef) {
+  const invoice = invoices.get(billingRef);
+  return invoice ? view(invoice) : null;
+}
+
+/**
+ * A client's invoices issued within a period, oldest first.
+ * @param {string} clientId
+ * @param {object} [filters]
+ * @param {string} [filters.from] - YYYY-MM-DD, inclusive
+ * @param {string} [filters.to] - YYYY-MM-DD, inclusive
+ * @param {string} [filters.status] - one of INVOICE_STATUSES
+ */
+export function listInvoices(clientId, { from, to, status } = {}) {
+  const fromTime = from ? Date.parse(from + 'T00:00:00.000Z') : -Infinity;
+  const toTime = to ? Date.parse(to + 'T23:59:59.999Z') : Infinity;
+  return Array.from(invoices.values())
+    .filter(invoice => {
+      const issued = Date.parse(invoice.issuedAt);
+      return invoice.clientId === clientId && issued >= fromTime && issued <= toTime;
+    })
+    .map(view)
+    .filter(invoice => !status || invoice.status === status);
+}
+
+/**
+ * Apply a payment to an invoice.
+ * @returns {{ invoice: object } | { error: string, code: string }}
+ */
+export function recordPayment(billingRef, { amount, paymentRef, paidAt }) {
+  const invoice = invoices.get(billingRef);
+  if (!invoice) return { error: `Invoice ${billingRef} not found`, code: 'InvoiceNotFound' };
+  // A retried payment is reported, not applied twice
+  if (paymentRef && invoice.payments.some(payment => payment.paymentRef === paymentRef)) {
+    return { error: `Payment ${paymentRef} is already recorded on invoice ${billingRef}`, code: 'DuplicatePayment' };
+  }
+  if (invoice.voidedAt && invoice.total === 0) return { error: `Invoice ${billingRef} is void`, code: 'InvoiceVoid' };
+  if (invoice.balance <= 0) return { error: `Invoice ${billingRef} is already paid`, code: 'InvoiceAlreadyPaid' };
+  if (!(amount > 0)) return { error: 'Payment amount must be greater than 0', code: 'InvalidPaymentAmount' };
+  if (round2(amount) > invoice.balance) {
+    return { error: `Payment of ${amount.toFixed(2)} exceeds the outstanding balance of ${invoice.balance.toFixed(2)}`, code: 'PaymentExceedsBalance' };
+  }
+
+  const payment = {
+    paymentRef: paymentRef || 'PAY-' + uuidv4().split('-')[0].toUpperCase(),
+    amount: round2(amount),
+    paidAt: paidAt || new Date().toISOString()
+  };
+  invoice.payments.push(payment);
+  invoice.amountPaid = round2(invoice.amountPaid + payment.amount);
+  updateBalance(invoice);
+  if (invoice.balance <= 0) invoice.paidAt = payment.paidAt;
+  return { invoice: view(invoice) };
+}
@@ -0,0 +1,193 @@
+// Outbound order status notifications
+//
+// Subscribers register a callback URL, for one client's orders or for all of
+// them, and receive an OrderStatusChanged SOAP message (in the SOAP version
+// they asked for) every time an order enters a status. Failed deliveries are
+// retried with exponential backoff; every delivery is kept in a bounded log
+// for the admin API.
+import { v4 as uuidv4 } from 'uuid';
+import { TNS } from './schema.js';
+import { SOAP_11, SOAP_12, buildSoapEnvelope } from './soap.js';
+
+export const SOAP_VERSIONS = { '1.1': SOAP_11, '1.2': SOAP_12 };
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '5', 10);
+const BACKOFF_MS = parseInt(process.env.CALLBACK_BACKOFF_MS || '1000', 10);
+const TIMEOUT_MS = parseInt(process.env.CALLBACK_TIMEOUT_MS || '5000', 10);
+const LOG_LIMIT = parseInt(process.env.CALLBACK_LOG_LIMIT || '500', 10);
+const NOTIFICATION_ACTION = `${TNS}OrderStatusChanged`;
+
+const subscriptions = new Map();
+const deliveries = []; // oldest first
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Register a callback endpoint.
+ * @param {object} params
+ * @param {string} params.url - http(s) endpoint POSTed every notification
+ * @param {string} [params.clientId] - only this client's orders; all orders when omitted
+ * @param {string} [params.soapVersion] - 1.1 (default) or 1.2
+ * @returns {{ subscription: object } | { error: string, code: string }}
+ */
+export function registerCallback({ url, clientId, soapVersion = '1.1' }) {
+  if (!isHttpUrl(url)) return { error: `Callback URL must be an http(s) URL, got "${url}"`, code: 'InvalidCallbackUrl' };
+  // Checked here as well as by the schema, which SCHEMA_VALIDATION=false turns off
+  if (!SOAP_VERSIONS[soapVersion]) {
+    return { error: `SoapVersion must be one of ${Object.keys(SOAP_VERSIONS).join(', ')}, got "${soapVersion}"`, code: 'InvalidSoapVersion' };
+  }
+
+  const subscription = {
+    subscriptionId: 'SUB-' + uuidv4().split('-')[0].toUpperCase(),
+    url,
+    clientId: clientId || null,
+    soapVersion,
+    createdAt: nowISO()
+  };
+  subscriptions.set(subscription.subscriptionId, subscription);
+  return { subscription };
+}
+
+export function getCallback(subscriptionId) {
+  return subscriptions.get(subscriptionId) || null;
+}
+
+export function unregisterCallback(subscriptionId) {
+  const subscription = subscriptions.get(subscriptionId);
+  if (!subscription) return { error: `Subscription ${subscriptionId} not found`, code: 'SubscriptionNotFound' };
+  subscriptions.delete(subscriptionId);
+  return { subscription };
+}
+
+// Subscriptions that receive a client's notifications (or all, without clientId)
+export function listCallbacks({ clientId } = {}) {
+  const all = Array.from(subscriptions.values());
+  return clientId ? all.filter(subscription => subscription.clientId === clientId || !subscription.clientId) : all;
+}
+
+export function listDeliveries({ status, cmsOrderId, subscriptionId } = {}) {
+  return deliveries.filter(delivery =>
+    (!status || delivery.status === status) &&
+    (!cmsOrderId || delivery.cmsOrderId === cmsOrderId) &&
+    (!subscriptionId || delivery.subscriptionId === subscriptionId));
+}
+
+function record(delivery) {
+  deliveries.push(delivery);
+  if (deliveries.length > LOG_LIMIT) deliveries.splice(0, deliveries.length - LOG_LIMIT);
+}
+
+function notificationBody(event) {
+  const notification = {
+    '$': { xmlns: TNS },
+    EventId: event.eventId,
+    CmsOrderId: event.cmsOrderId,
+    ClientId: event.clientId,
+    ClientOrderRef: event.clientOrderRef
+  };
+  if (event.previousStatus) notification.PreviousStatus = event.previousStatus;
+  notification.Status = event.status;
+  notification.ChangedAt = event.at;
+  if (event.note) notification.Note = event.note;
+  return { OrderStatusChanged: notification };
+}
+
+function requestHeaders(version, delivery) {
+  const headers = { 'X-CMS-Delivery-Id': delivery.deliveryId, 'X-CMS-Event-Id': delivery.eventId };
+  if (version === SOAP_12) {
+    headers['Content-Type'] = `${version.contentType}; action="${NOTIFICATION_ACTION}"`;
+  } else {
+    headers['Content-Type'] = version.contentType;
+    headers.SOAPAction = `"${NOTIFICATION_ACTION}"`;
+  }
+  return headers;
+}
+
+async function deliver(delivery, subscription, event) {
+  const version = SOAP_VERSIONS[subscription.soapVersion];
+  const body = buildSoapEnvelope(version, notificationBody(event));
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    delivery.attempts = attempt;
+    delivery.lastAttemptAt = nowISO();
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: requestHeaders(version, delivery),
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      delivery.responseStatus = response.status;
+      if (response.ok) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = nowISO();
+        delivery.nextAttemptAt = null;
+        console.log(`Callback ${delivery.deliveryId} delivered to ${delivery.url} (${event.cmsOrderId} -> ${event.status})`);
+        return;
+      }
+      delivery.lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      delivery.lastError = error.message;
+    }
+    if (attempt < MAX_ATTEMPTS) {
+      const backoff = BACKOFF_MS * 2 ** (attempt - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+      await new Promise(resolve => setTimeout(resolve, backoff));
+    }
+  }
+  delivery.status = 'failed';
+  delivery.nextAttemptAt = null;
+  console.log(`Callback ${delivery.deliveryId} to ${delivery.url} failed after ${MAX_ATTEMPTS} attempts: ${delivery.lastError}`);
+}
+
+/**
+ * Notify subscribers that an order entered a status (an orders.js status listener).
+ * @param {object} order
+ * @param {{ previousStatus: string|null, status: string, at: string, note: string|null }} change
+ */
+export function notifyStatusChange(order, change) {
+  const event = {
+    eventId: 'EVT-' + uuidv4().split('-')[0].toUpperCase(),
+    cmsOrderId: order.cmsOrderId,
+    clientId: order.clientId,
+    clientOrderRef: order.clientOrderRef,
+    ...change
+  };
+
+  for (const subscription of listCallbacks({ clientId: order.clientId })) {
+    const delivery = {
+      deliveryId: 'DLV-' + uuidv4().split('-')[0].toUpperCase(),
+      subscriptionId: subscription.subscriptionId,
+      url: subscription.url,
+      eventId: event.eventId,
+      cmsOrderId: event.cmsOrderId,
+      previousStatus: event.previousStatus,
+      orderStatus: event.status,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      lastError: null,
+      createdAt: nowISO(),
+      lastAttemptAt: null,
+      nextAttemptAt: null,
+      deliveredAt: null
+    };
+    record(delivery);
+    deliver(delivery, subscription, event).catch(error => {
+      delivery.status = 'failed';
+      delivery.lastError = error.message;
+      delivery.nextAttemptAt = null;
+      console.error(`Callback ${delivery.deliveryId} to ${delivery.url} failed: ${error.message}`);
+    });
+  }
+}
@@ -0,0 +1,121 @@
+// In-memory client account registry
+//
+// Clients have a contract tier and a credit limit; only Active clients may
+// place orders. Registry functions return { client } or { error, code }, where
+// code is the CmsFault code sent back to the SOAP caller.
+import { v4 as uuidv4 } from 'uuid';
+
+export const CONTRACT_TIERS = ['Standard', 'Premium', 'Enterprise'];
+export const ACCOUNT_STATUSES = ['Active', 'Suspended'];
+
+const clients = new Map();
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function notFound(clientId) {
+  return { error: `Client ${clientId} not found`, code: 'ClientNotFound' };
+}
+
+/**
+ * Register a client.
+ * @param {object} fields
+ * @param {string} [fields.clientId] - generated when omitted
+ * @param {string} fields.name
+ * @param {string} [fields.contactEmail]
+ * @param {string} [fields.contractTier] - one of CONTRACT_TIERS, default Standard
+ * @param {number} [fields.creditLimit] - default 0
+ * @returns {{ client: object } | { error: string, code: string }}
+ */
+export function createClient({ clientId, name, contactEmail, contractTier = 'Standard', creditLimit = 0 }) {
+  const id = clientId || 'client-' + uuidv4().split('-')[0];
+  if (clients.has(id)) {
+    return { error: `Client ${id} already exists`, code: 'ClientExists' };
+  }
+
+  const createdAt = nowISO();
+  const client = {
+    clientId: id,
+    name,
+    contactEmail: contactEmail || null,
+    contractTier,
+    creditLimit,
+    accountStatus: 'Active',
+    suspendedReason: null,
+    createdAt,
+    updatedAt: createdAt
+  };
+  clients.set(id, client);
+  return { client };
+}
+
+export function getClient(clientId) {
+  return clients.get(clientId) || null;
+}
+
+// Change name, contact email, contract tier or credit limit; undefined fields are left alone
+export function updateClient(clientId, fields) {
+  const client = clients.get(clientId);
+  if (!client) return notFound(clientId);
+
+  for (const key of ['name', 'contactEmail', 'contractTier', 'creditLimit']) {
+    if (fields[key] !== undefined) client[key] = fields[key];
+  }
+  client.updatedAt = nowISO();
+  return { client };
+}
+
+export function suspendClient(clientId, reason) {
+  const client = clients.get(clientId);
+  if (!client) return notFound(clientId);
+  if (client.accountStatus === 'Suspended') {
+    return { error: `Client ${clientId} is already suspended`, code: 'ClientAlreadySuspended' };
+  }
+
+  client.accountStatus = 'Suspended';
+  client.suspendedReason = reason || null;
+  client.updatedAt = nowISO();
+  return { client };
+}
+
+export function reactivateClient(clientId) {
+  const client = clients.get(clientId);
+  if (!client) return notFound(clientId);
+  if (client.accountStatus === 'Active') {
+    return { error: `Client ${clientId} is not suspended`, code: 'ClientNotSuspended' };
+  }
+
+  client.accountStatus = 'Active';
+  client.suspendedReason = null;
+  client.updatedAt = nowISO();
+  return { client };
+}
+
+export function listClients({ accountStatus, contractTier } = {}) {
+  return Array.from(clients.values()).filter(client =>
+    (!accountStatus || client.accountStatus === accountStatus) &&
+    (!contractTier || client.contractTier === contractTier));
+}
+
+// Only an existing, Active client may place orders
+export function checkCanOrder(clientId) {
+  const client = clients.get(clientId);
+  if (!client) return notFound(clientId);
+  if (client.accountStatus !== 'Active') {
+    const reason = client.suspendedReason ? `: ${client.suspendedReason}` : '';
+    return { error: `Client ${clientId} is suspended${reason}`, code: 'ClientSuspended' };
+  }
+  return { client };
+}
+
+// Demo accounts available at startup (client-123 is used by the sample requests)
+function seedClients() {
+  createClient({ clientId: 'client-123', name: 'Demo Client', contactEmail: 'orders@demo-client.example', contractTier: 'Standard', creditLimit: 5000 });
+  createClient({ clientId: 'client-456', name: 'Acme Electronics', contactEmail: 'logistics@acme-electronics.example', contractTier: 'Premium', creditLimit: 25000 });
+  createClient({ clientId: 'client-789', name: 'Northwind Books', contactEmail: 'shipping@northwind-books.example', contractTier: 'Enterprise', creditLimit: 100000 });
+  createClient({ clientId: 'client-999', name: 'Overdue Traders', contractTier: 'Standard', creditLimit: 1000 });
+  suspendClient('client-999', 'Outstanding invoices');
+}
+
+seedClients();
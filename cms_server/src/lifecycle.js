@@ -0,0 +1,136 @@
+// Order lifecycle state machine
+//
+// States, transitions, delays and branch probabilities come from
+// config/lifecycle.json (or ORDER_LIFECYCLE_FILE). Orders start in `initial`;
+// a state with `next` branches moves on after `delay_ms` (a fixed number or a
+// [min, max] range) to one branch picked by `probability`, and a state without
+// `next` is final. Each state also says whether orders in it can be amended
+// (`amendable`), how they can be cancelled (`cancellation`: free, fee or none)
+// and whether entering it voids the invoice (`void_invoice`).
+// Error (forced from the admin API) and Cancelled are always available.
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_LIFECYCLE_FILE = fileURLToPath(new URL('../config/lifecycle.json', import.meta.url));
+const CANCELLATION_RULES = ['free', 'fee', 'none'];
+const RESERVED_STATES = ['Cancelled', 'NotFound'];
+const PROBABILITY_TOLERANCE = 1e-6;
+
+// Statuses outside the configured lifecycle
+const SYSTEM_STATES = {
+  Error: { amendable: false, cancellation: 'free', voidInvoice: false, delay: null, next: [] },
+  Cancelled: { amendable: false, cancellation: 'none', voidInvoice: false, delay: null, next: [] }
+};
+
+let lifecycle = null;
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function parseDelay(value, name) {
+  if (isNonNegativeNumber(value)) return [value, value];
+  if (Array.isArray(value) && value.length === 2 && value.every(isNonNegativeNumber) && value[0] <= value[1]) {
+    return value;
+  }
+  throw new Error(`Lifecycle state "${name}" delay_ms must be a non-negative number or [min, max]`);
+}
+
+function normaliseLifecycle(raw) {
+  const rawStates = raw.states || {};
+  const names = Object.keys(rawStates);
+  if (!names.length) throw new Error('Lifecycle needs at least one state');
+
+  const reserved = names.find(name => RESERVED_STATES.includes(name));
+  if (reserved) throw new Error(`Lifecycle state name "${reserved}" is reserved`);
+
+  const states = {};
+  for (const [name, state] of Object.entries(rawStates)) {
+    const cancellation = state.cancellation || 'free';
+    if (!CANCELLATION_RULES.includes(cancellation)) {
+      throw new Error(`Lifecycle state "${name}" cancellation must be one of ${CANCELLATION_RULES.join(', ')}`);
+    }
+
+    const branches = state.next || [];
+    if (!Array.isArray(branches)) throw new Error(`Lifecycle state "${name}" next must be an array`);
+    const next = branches.map((branch, i) => {
+      if (!rawStates[branch.to] && branch.to !== 'Error') {
+        throw new Error(`Lifecycle state "${name}" next[${i}] goes to unknown state "${branch.to}"`);
+      }
+      const probability = branch.probability ?? (branches.length === 1 ? 1 : undefined);
+      if (!(typeof probability === 'number' && probability > 0 && probability <= 1)) {
+        throw new Error(`Lifecycle state "${name}" next[${i}] needs a probability in (0, 1]`);
+      }
+      return { to: branch.to, probability };
+    });
+    const total = next.reduce((sum, branch) => sum + branch.probability, 0);
+    if (next.length && Math.abs(total - 1) > PROBABILITY_TOLERANCE) {
+      throw new Error(`Lifecycle state "${name}" branch probabilities must add up to 1, got ${total}`);
+    }
+
+    states[name] = {
+      amendable: state.amendable === true,
+      cancellation,
+      voidInvoice: state.void_invoice === true,
+      delay: next.length ? parseDelay(state.delay_ms, name) : null,
+      next
+    };
+  }
+
+  const initial = raw.initial || names[0];
+  if (!states[initial]) throw new Error(`Lifecycle initial state "${initial}" is not defined`);
+
+  return { initial, states };
+}
+
+/**
+ * Load and validate a lifecycle, replacing the current one.
+ * @param {string} [file] - defaults to config/lifecycle.json
+ * @returns {{ file: string, states: string[] }}
+ */
+export function loadLifecycle(file = DEFAULT_LIFECYCLE_FILE) {
+  lifecycle = normaliseLifecycle(JSON.parse(fs.readFileSync(file, 'utf8')));
+  return { file, states: Object.keys(lifecycle.states) };
+}
+
+function currentLifecycle() {
+  if (!lifecycle) loadLifecycle();
+  return lifecycle;
+}
+
+export function initialState() {
+  return currentLifecycle().initial;
+}
+
+// Every status an order can have: the configured states plus Error and Cancelled
+export function orderStatuses() {
+  return [...new Set([...Object.keys(currentLifecycle().states), ...Object.keys(SYSTEM_STATES)])];
+}
+
+/**
+ * What may be done to an order in a status.
+ * @returns {{ amendable: boolean, cancellation: string, voidInvoice: boolean }}
+ */
+export function stateRules(status) {
+  const { amendable, cancellation, voidInvoice } = currentLifecycle().states[status] || SYSTEM_STATES[status];
+  return { amendable, cancellation, voidInvoice };
+}
+
+// Statuses in which orders can be amended, for fault messages
+export function amendableStates() {
+  return Object.entries(currentLifecycle().states).filter(([, state]) => state.amendable).map(([name]) => name);
+}
+
+/**
+ * The next step out of a status, with the branch and delay picked at random.
+ * @returns {{ to: string, delayMs: number } | null} null for a final status
+ */
+export function nextTransition(status) {
+  const state = currentLifecycle().states[status] || SYSTEM_STATES[status];
+  if (!state || !state.next.length) return null;
+
+  let roll = Math.random();
+  const branch = state.next.find(candidate => (roll -= candidate.probability) < 0) || state.next[state.next.length - 1];
+  const [min, max] = state.delay;
+  return { to: branch.to, delayMs: Math.round(min + Math.random() * (max - min)) };
+}
@@ -0,0 +1,227 @@
+// In-memory CMS orders: creation, processing, cancellation and amendment
+//
+// Orders move through the configured lifecycle (see lifecycle.js) on timers,
+// and every status change is kept in the order's statusHistory. Whether an
+// order can be amended, or cancelled free, for a fee (which the caller has to
+// accept explicitly) or not at all, depends on its current state. Functions
+// that apply a change return { order, invoice } or { error, code }, where code
+// is the CmsFault code sent back to the SOAP caller.
+import { v4 as uuidv4 } from 'uuid';
+import { issueInvoice, getInvoice, repriceInvoice, cancelInvoice, cancellationFeeFor, parseItems } from './billing.js';
+import { initialState, stateRules, amendableStates, nextTransition } from './lifecycle.js';
+
+const cmsOrders = {}; // cmsOrders[cmsId] = { status, statusHistory, clientOrderRef, createdAt, items, billingRef, ... }
+const ordersByRef = new Map(); // `${clientId} ${clientOrderRef}` -> { cmsOrderId, request }, for idempotent CreateOrder
+const timers = new Map(); // pending lifecycle transition per order
+const statusListeners = [];
+
+function makeCmsId() {
+  return 'CMS-' + uuidv4().split('-')[0].toUpperCase();
+}
+
+function notFound(cmsOrderId) {
+  return { error: `Order ${cmsOrderId} not found`, code: 'OrderNotFound' };
+}
+
+/**
+ * Be told about every status an order enters, including its initial one.
+ * @param {function} listener - called with (order, { previousStatus, status, at, note })
+ */
+export function onStatusChange(listener) {
+  statusListeners.push(listener);
+}
+
+// Enter a status: record it, apply the state's invoice rule, tell listeners and schedule the next transition
+function setStatus(order, status, note) {
+  const at = new Date().toISOString();
+  const previousStatus = order.status;
+  order.status = status;
+  order.updatedAt = at;
+  order.statusHistory.push({ status, at, note: note || null });
+
+  if (stateRules(status).voidInvoice) cancelInvoice(order.billingRef, { withFee: false });
+  statusListeners.forEach(listener => listener(order, { previousStatus, status, at, note: note || null }));
+
+  clearTimeout(timers.get(order.cmsOrderId));
+  timers.delete(order.cmsOrderId);
+  const transition = nextTransition(status);
+  if (transition) {
+    timers.set(order.cmsOrderId, setTimeout(() => {
+      timers.delete(order.cmsOrderId);
+      // The order may have been cancelled or failed since the step was scheduled
+      if (order.status === status) setStatus(order, transition.to);
+    }, transition.delayMs));
+  }
+}
+
+// Key of ordersByRef: ClientOrderRefs are only unique within a client
+function refKey(clientId, clientOrderRef) {
+  return `${clientId} ${clientOrderRef}`;
+}
+
+// What was asked for, to tell a retried CreateOrder from a different order reusing its ClientOrderRef
+function requestFingerprint({ pickup, delivery, items, contact }) {
+  return JSON.stringify({ pickup, delivery, items, contact });
+}
+
+// The order a client already placed under a ClientOrderRef (null if none), or an error when the details differ
+export function findExistingOrder(clientId, clientOrderRef, request) {
+  const existing = ordersByRef.get(refKey(clientId, clientOrderRef));
+  if (!existing) return null;
+  if (existing.request !== requestFingerprint(request)) {
+    return {
+      error: `ClientOrderRef ${clientOrderRef} was already used by order ${existing.cmsOrderId} with different details`,
+      code: 'DuplicateClientOrderRef'
+    };
+  }
+  const order = cmsOrders[existing.cmsOrderId];
+  return { order, invoice: getInvoice(order.billingRef) };
+}
+
+/**
+ * Store an order and issue its invoice.
+ * @param {object} params
+ * @param {object} params.client - the ordering client (from the client registry)
+ * @param {string} params.clientOrderRef
+ * @param {string} params.pickup
+ * @param {string} params.delivery
+ * @param {object} params.items - Items as parsed from the request
+ * @param {string} params.contact
+ * @returns {{ order: object, invoice: object }}
+ */
+export function createOrder({ client, clientOrderRef, pickup, delivery, items, contact }) {
+  const cmsOrderId = makeCmsId();
+  const invoice = issueInvoice({ client, cmsOrderId, items: parseItems(items) });
+  const createdAt = new Date().toISOString();
+
+  const order = {
+    cmsOrderId,
+    clientId: client.clientId,
+    clientOrderRef,
+    pickup,
+    delivery,
+    items,
+    contact,
+    billingRef: invoice.billingRef,
+    status: null,
+    statusHistory: [],
+    createdAt,
+    updatedAt: createdAt
+  };
+  cmsOrders[cmsOrderId] = order;
+  ordersByRef.set(refKey(client.clientId, clientOrderRef), { cmsOrderId, request: requestFingerprint({ pickup, delivery, items, contact }) });
+
+  // Simulate asynchronous processing through the configured lifecycle
+  setStatus(order, initialState());
+
+  return { order, invoice: getInvoice(invoice.billingRef) };
+}
+
+export function getOrder(cmsOrderId) {
+  return cmsOrders[cmsOrderId] || null;
+}
+
+// Sort keys of searchOrders, by the names used in SearchOrders and /admin/orders
+export const ORDER_SORT_FIELDS = { CreatedAt: 'createdAt', UpdatedAt: 'updatedAt', Status: 'status', ClientOrderRef: 'clientOrderRef' };
+export const SORT_DIRECTIONS = ['Ascending', 'Descending'];
+
+/**
+ * Orders matching every given filter, sorted.
+ * @param {object} criteria
+ * @param {string} [criteria.clientId]
+ * @param {string} [criteria.clientOrderRef]
+ * @param {string} [criteria.status]
+ * @param {string} [criteria.from] - YYYY-MM-DD, orders created on or after
+ * @param {string} [criteria.to] - YYYY-MM-DD, orders created on or before
+ * @param {string} [criteria.sortBy] - a key of ORDER_SORT_FIELDS (default CreatedAt)
+ * @param {string} [criteria.sortDirection] - Ascending or Descending (default, newest first)
+ * @returns {object[]}
+ */
+export function searchOrders({ clientId, clientOrderRef, status, from, to, sortBy = 'CreatedAt', sortDirection = 'Descending' } = {}) {
+  const fromTime = from ? Date.parse(from + 'T00:00:00.000Z') : -Infinity;
+  const toTime = to ? Date.parse(to + 'T23:59:59.999Z') : Infinity;
+  const field = ORDER_SORT_FIELDS[sortBy];
+  const direction = sortDirection === 'Ascending' ? 1 : -1;
+
+  return Object.values(cmsOrders)
+    .filter(order => {
+      const created = Date.parse(order.createdAt);
+      return (!clientId || order.clientId === clientId) &&
+        (!clientOrderRef || order.clientOrderRef === clientOrderRef) &&
+        (!status || order.status === status) &&
+        created >= fromTime && created <= toTime;
+    })
+    .sort((a, b) => direction * String(a[field]).localeCompare(String(b[field])));
+}
+
+/**
+ * Cancel an order.
+ * @param {string} cmsOrderId
+ * @param {object} options
+ * @param {string} [options.reason]
+ * @param {boolean} [options.acceptFee] - must be true to cancel an order in a state whose cancellation carries a fee
+ * @returns {{ order: object, invoice: object, fee: number } | { error: string, code: string }}
+ */
+export function cancelOrder(cmsOrderId, { reason, acceptFee }) {
+  const order = cmsOrders[cmsOrderId];
+  if (!order) return notFound(cmsOrderId);
+  if (order.status === 'Cancelled') {
+    return { error: `Order ${cmsOrderId} is already cancelled`, code: 'OrderAlreadyCancelled' };
+  }
+
+  const { cancellation } = stateRules(order.status);
+  if (cancellation === 'none') {
+    return { error: `Order ${cmsOrderId} is ${order.status} and can no longer be cancelled`, code: 'OrderNotCancellable' };
+  }
+  const withFee = cancellation === 'fee';
+  if (withFee && !acceptFee) {
+    const fee = cancellationFeeFor(order.billingRef).toFixed(2);
+    return {
+      error: `Order ${cmsOrderId} is ${order.status}; cancelling it incurs a ${fee} cancellation fee (resend with AcceptCancellationFee true)`,
+      code: 'CancellationFeeRequired'
+    };
+  }
+
+  const invoice = cancelInvoice(order.billingRef, { withFee });
+  order.cancellationReason = reason || null;
+  setStatus(order, 'Cancelled', reason);
+  order.cancelledAt = order.updatedAt;
+  return { order, invoice, fee: invoice.total };
+}
+
+/**
+ * Change an order's addresses, items or contact; items changes reprice its invoice.
+ * @param {string} cmsOrderId
+ * @param {object} changes - pickup, delivery, items, contact; undefined fields are left alone
+ * @returns {{ order: object, invoice: object } | { error: string, code: string }}
+ */
+export function amendOrder(cmsOrderId, changes) {
+  const order = cmsOrders[cmsOrderId];
+  if (!order) return notFound(cmsOrderId);
+  if (!stateRules(order.status).amendable) {
+    return {
+      error: `Order ${cmsOrderId} is ${order.status}; it can only be amended while ${amendableStates().join(' or ')}`,
+      code: 'OrderNotAmendable'
+    };
+  }
+
+  const fields = ['pickup', 'delivery', 'items', 'contact'].filter(key => changes[key] !== undefined);
+  if (!fields.length) {
+    return { error: 'Nothing to amend: send at least one of PickupAddress, DeliveryAddress, Items, Contact', code: 'NoChanges' };
+  }
+
+  fields.forEach(key => { order[key] = changes[key]; });
+  order.updatedAt = new Date().toISOString();
+  const invoice = fields.includes('items')
+    ? repriceInvoice(order.billingRef, parseItems(order.items))
+    : getInvoice(order.billingRef);
+  return { order, invoice };
+}
+
+// Admin: force an order into Error
+export function failOrder(cmsOrderId) {
+  const order = cmsOrders[cmsOrderId];
+  if (!order) return null;
+  setStatus(order, 'Error', 'Forced by admin');
+  return order;
+}
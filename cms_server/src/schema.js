@@ -0,0 +1,531 @@
+// CMS service contract: the XSD types and operations, and a validator for parsed requests
+//
+// The same definitions render the published XSD/WSDL (see wsdl.js) and check
+// incoming bodies, so the mock cannot drift from the contract it serves.
+// Complex types are sequences: child order, occurrence counts, unknown
+// elements and simple-type values are all checked.
+
+export const TNS = 'http://swiftlogistics.cms/';
+
+// Reject request bodies that do not match the published schema (set SCHEMA_VALIDATION=false to accept anything)
+export const SCHEMA_VALIDATION = process.env.SCHEMA_VALIDATION !== 'false';
+
+// Restricted simple types, rendered as xsd:simpleType
+export const simpleTypes = {
+  NonEmptyString: { base: 'string', minLength: 1 },
+  // Replaced by the configured lifecycle's states at startup (setOrderStatuses)
+  OrderStatus: {
+    base: 'string',
+    enumeration: ['Received', 'Processing', 'Confirmed', 'Error', 'Cancelled', 'NotFound']
+  },
+  ContractTier: { base: 'string', enumeration: ['Standard', 'Premium', 'Enterprise'] },
+  AccountStatus: { base: 'string', enumeration: ['Active', 'Suspended'] },
+  Amount: { base: 'decimal', minInclusive: 0 },
+  SoapVersion: { base: 'string', enumeration: ['1.1', '1.2'] },
+  InvoiceStatus: { base: 'string', enumeration: ['Issued', 'PartiallyPaid', 'Paid', 'Overdue', 'Void', 'CreditDue'] },
+  OrderSortField: { base: 'string', enumeration: ['CreatedAt', 'UpdatedAt', 'Status', 'ClientOrderRef'] },
+  SortDirection: { base: 'string', enumeration: ['Ascending', 'Descending'] },
+  PageSize: { base: 'positiveInteger', maxInclusive: 100 }
+};
+
+// Client account fields, shared by the Client type and GetClientResponse
+const CLIENT_FIELDS = [
+  { name: 'ClientId', type: 'string' },
+  { name: 'Name', type: 'string' },
+  { name: 'ContactEmail', type: 'string', minOccurs: 0 },
+  { name: 'ContractTier', type: 'ContractTier' },
+  { name: 'CreditLimit', type: 'Amount' },
+  { name: 'AccountStatus', type: 'AccountStatus' },
+  { name: 'SuspendedReason', type: 'string', minOccurs: 0 },
+  { name: 'CreatedAt', type: 'dateTime' },
+  { name: 'UpdatedAt', type: 'dateTime' }
+];
+
+// A new order, shared by CreateOrderRequest and the orders of CreateOrdersBatchRequest
+const ORDER_FIELDS = [
+  { name: 'ClientId', type: 'NonEmptyString' },
+  { name: 'ClientOrderRef', type: 'NonEmptyString', minOccurs: 0 },
+  { name: 'PickupAddress', type: 'NonEmptyString' },
+  { name: 'DeliveryAddress', type: 'NonEmptyString' },
+  { name: 'Items', type: 'Items', minOccurs: 0 },
+  { name: 'Contact', type: 'string', minOccurs: 0 }
+];
+
+// Response to every operation that changes a client
+const CLIENT_RESULT = [
+  { name: 'Success', type: 'boolean' },
+  { name: 'Client', type: 'Client' },
+  { name: 'Message', type: 'string' }
+];
+
+// Named complex types, rendered as xsd:complexType
+export const complexTypes = {
+  Item: [
+    { name: 'Name', type: 'NonEmptyString' },
+    { name: 'Qty', type: 'positiveInteger' }
+  ],
+  Items: [
+    { name: 'Item', type: 'Item', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  StatusChange: [
+    { name: 'Status', type: 'OrderStatus' },
+    { name: 'At', type: 'dateTime' },
+    { name: 'Note', type: 'string', minOccurs: 0 }
+  ],
+  StatusHistory: [
+    { name: 'Change', type: 'StatusChange', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  CallbackSubscription: [
+    { name: 'SubscriptionId', type: 'string' },
+    { name: 'Url', type: 'string' },
+    { name: 'ClientId', type: 'string', minOccurs: 0 },
+    { name: 'SoapVersion', type: 'SoapVersion' },
+    { name: 'CreatedAt', type: 'dateTime' }
+  ],
+  CallbackSubscriptions: [
+    { name: 'Subscription', type: 'CallbackSubscription', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  Client: CLIENT_FIELDS,
+  Clients: [
+    { name: 'Client', type: 'Client', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  InvoiceLine: [
+    { name: 'Description', type: 'string' },
+    { name: 'Quantity', type: 'positiveInteger' },
+    { name: 'UnitPrice', type: 'Amount' },
+    { name: 'Amount', type: 'Amount' }
+  ],
+  InvoiceLines: [
+    { name: 'Line', type: 'InvoiceLine', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  Payment: [
+    { name: 'PaymentRef', type: 'string' },
+    { name: 'Amount', type: 'Amount' },
+    { name: 'PaidAt', type: 'dateTime' }
+  ],
+  Payments: [
+    { name: 'Payment', type: 'Payment', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  Invoice: [
+    { name: 'BillingRef', type: 'string' },
+    { name: 'ClientId', type: 'string' },
+    { name: 'CmsOrderId', type: 'string' },
+    { name: 'ContractTier', type: 'ContractTier' },
+    { name: 'Currency', type: 'string' },
+    { name: 'Lines', type: 'InvoiceLines' },
+    { name: 'Total', type: 'Amount' },
+    { name: 'AmountPaid', type: 'Amount' },
+    { name: 'Balance', type: 'Amount' },
+    { name: 'Credit', type: 'Amount', minOccurs: 0 },
+    { name: 'Status', type: 'InvoiceStatus' },
+    { name: 'IssuedAt', type: 'dateTime' },
+    { name: 'DueDate', type: 'date' },
+    { name: 'PaidAt', type: 'dateTime', minOccurs: 0 },
+    { name: 'Payments', type: 'Payments' }
+  ],
+  Invoices: [
+    { name: 'Invoice', type: 'Invoice', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  OrderSummary: [
+    { name: 'CmsOrderId', type: 'string' },
+    { name: 'ClientId', type: 'string' },
+    { name: 'ClientOrderRef', type: 'string' },
+    { name: 'Status', type: 'OrderStatus' },
+    { name: 'BillingRef', type: 'string' },
+    { name: 'CreatedAt', type: 'dateTime' },
+    { name: 'UpdatedAt', type: 'dateTime' }
+  ],
+  OrderSummaries: [
+    { name: 'Order', type: 'OrderSummary', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  NewOrder: ORDER_FIELDS,
+  OrderFault: [
+    { name: 'Code', type: 'string' },
+    { name: 'Message', type: 'string' },
+    { name: 'Error', type: 'ValidationError', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  BatchOrderResult: [
+    { name: 'Index', type: 'positiveInteger' },
+    { name: 'ClientOrderRef', type: 'string', minOccurs: 0 },
+    { name: 'Success', type: 'boolean' },
+    { name: 'CmsOrderId', type: 'string', minOccurs: 0 },
+    { name: 'BillingRef', type: 'string', minOccurs: 0 },
+    { name: 'Amount', type: 'Amount', minOccurs: 0 },
+    { name: 'Currency', type: 'string', minOccurs: 0 },
+    { name: 'Duplicate', type: 'boolean', minOccurs: 0 },
+    { name: 'Status', type: 'OrderStatus', minOccurs: 0 },
+    { name: 'Fault', type: 'OrderFault', minOccurs: 0 }
+  ],
+  BatchOrderResults: [
+    { name: 'Result', type: 'BatchOrderResult', minOccurs: 0, maxOccurs: 'unbounded' }
+  ],
+  ValidationError: [
+    { name: 'Path', type: 'string' },
+    { name: 'Message', type: 'string' }
+  ]
+};
+
+// Batch results, shared by CreateOrdersBatchResponse and GetBatchStatusResponse
+const BATCH_RESULT = [
+  { name: 'BatchId', type: 'string' },
+  { name: 'BatchRef', type: 'string', minOccurs: 0 },
+  { name: 'SubmittedAt', type: 'dateTime' },
+  { name: 'Total', type: 'nonNegativeInteger' },
+  { name: 'Accepted', type: 'nonNegativeInteger' },
+  { name: 'Rejected', type: 'nonNegativeInteger' },
+  { name: 'Results', type: 'BatchOrderResults' }
+];
+
+// Global elements: request/response bodies and fault details
+export const elements = {
+  CreateOrderRequest: ORDER_FIELDS,
+  CreateOrderResponse: [
+    { name: 'Success', type: 'boolean' },
+    { name: 'CmsOrderId', type: 'string' },
+    { name: 'BillingRef', type: 'string' },
+    { name: 'Amount', type: 'Amount', minOccurs: 0 },
+    { name: 'Currency', type: 'string', minOccurs: 0 },
+    { name: 'Duplicate', type: 'boolean', minOccurs: 0 },
+    { name: 'Message', type: 'string' }
+  ],
+  GetOrderStatusRequest: [
+    { name: 'CmsOrderId', type: 'NonEmptyString' }
+  ],
+  GetOrderStatusResponse: [
+    { name: 'CmsOrderId', type: 'string' },
+    { name: 'Status', type: 'OrderStatus' },
+    { name: 'Message', type: 'string' },
+    { name: 'History', type: 'StatusHistory', minOccurs: 0 }
+  ],
+  CancelOrderRequest: [
+    { name: 'CmsOrderId', type: 'NonEmptyString' },
+    { name: 'Reason', type: 'string', minOccurs: 0 },
+    { name: 'AcceptCancellationFee', type: 'boolean', minOccurs: 0 }
+  ],
+  CancelOrderResponse: [
+    { name: 'Success', type: 'boolean' },
+    { name: 'CmsOrderId', type: 'string' },
+    { name: 'Status', type: 'OrderStatus' },
+    { name: 'CancellationFee', type: 'Amount' },
+    { name: 'Currency', type: 'string' },
+    { name: 'BillingRef', type: 'string' },
+    { name: 'Message', type: 'string' }
+  ],
+  UpdateOrderRequest: [
+    { name: 'CmsOrderId', type: 'NonEmptyString' },
+    { name: 'PickupAddress', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'DeliveryAddress', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'Items', type: 'Items', minOccurs: 0 },
+    { name: 'Contact', type: 'string', minOccurs: 0 }
+  ],
+  UpdateOrderResponse: [
+    { name: 'Success', type: 'boolean' },
+    { name: 'CmsOrderId', type: 'string' },
+    { name: 'Status', type: 'OrderStatus' },
+    { name: 'BillingRef', type: 'string' },
+    { name: 'Amount', type: 'Amount' },
+    { name: 'Currency', type: 'string' },
+    { name: 'Message', type: 'string' }
+  ],
+  // Orders are `deferred`: each one is validated on its own, so a bad order is reported in its result
+  CreateOrdersBatchRequest: [
+    { name: 'BatchRef', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'Order', type: 'NewOrder', maxOccurs: 'unbounded', deferred: true }
+  ],
+  CreateOrdersBatchResponse: BATCH_RESULT,
+  GetBatchStatusRequest: [
+    { name: 'BatchId', type: 'NonEmptyString' }
+  ],
+  GetBatchStatusResponse: BATCH_RESULT,
+  SearchOrdersRequest: [
+    { name: 'ClientId', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'ClientOrderRef', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'Status', type: 'OrderStatus', minOccurs: 0 },
+    { name: 'From', type: 'date', minOccurs: 0 },
+    { name: 'To', type: 'date', minOccurs: 0 },
+    { name: 'SortBy', type: 'OrderSortField', minOccurs: 0 },
+    { name: 'SortDirection', type: 'SortDirection', minOccurs: 0 },
+    { name: 'Page', type: 'positiveInteger', minOccurs: 0 },
+    { name: 'PageSize', type: 'PageSize', minOccurs: 0 }
+  ],
+  SearchOrdersResponse: [
+    { name: 'Total', type: 'nonNegativeInteger' },
+    { name: 'Page', type: 'positiveInteger' },
+    { name: 'PageSize', type: 'positiveInteger' },
+    { name: 'Orders', type: 'OrderSummaries' }
+  ],
+  GetClientRequest: [
+    { name: 'ClientId', type: 'NonEmptyString' }
+  ],
+  GetClientResponse: CLIENT_FIELDS,
+  CreateClientRequest: [
+    { name: 'ClientId', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'Name', type: 'NonEmptyString' },
+    { name: 'ContactEmail', type: 'string', minOccurs: 0 },
+    { name: 'ContractTier', type: 'ContractTier', minOccurs: 0 },
+    { name: 'CreditLimit', type: 'Amount', minOccurs: 0 }
+  ],
+  CreateClientResponse: CLIENT_RESULT,
+  UpdateClientRequest: [
+    { name: 'ClientId', type: 'NonEmptyString' },
+    { name: 'Name', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'ContactEmail', type: 'string', minOccurs: 0 },
+    { name: 'ContractTier', type: 'ContractTier', minOccurs: 0 },
+    { name: 'CreditLimit', type: 'Amount', minOccurs: 0 }
+  ],
+  UpdateClientResponse: CLIENT_RESULT,
+  SuspendClientRequest: [
+    { name: 'ClientId', type: 'NonEmptyString' },
+    { name: 'Reason', type: 'string', minOccurs: 0 }
+  ],
+  SuspendClientResponse: CLIENT_RESULT,
+  ReactivateClientRequest: [
+    { name: 'ClientId', type: 'NonEmptyString' }
+  ],
+  ReactivateClientResponse: CLIENT_RESULT,
+  ListClientsRequest: [
+    { name: 'AccountStatus', type: 'AccountStatus', minOccurs: 0 },
+    { name: 'ContractTier', type: 'ContractTier', minOccurs: 0 }
+  ],
+  ListClientsResponse: [
+    { name: 'Total', type: 'nonNegativeInteger' },
+    { name: 'Clients', type: 'Clients' }
+  ],
+  GetInvoiceRequest: [
+    { name: 'BillingRef', type: 'NonEmptyString' }
+  ],
+  GetInvoiceResponse: [
+    { name: 'Invoice', type: 'Invoice' }
+  ],
+  ListInvoicesRequest: [
+    { name: 'ClientId', type: 'NonEmptyString' },
+    { name: 'From', type: 'date', minOccurs: 0 },
+    { name: 'To', type: 'date', minOccurs: 0 },
+    { name: 'Status', type: 'InvoiceStatus', minOccurs: 0 }
+  ],
+  ListInvoicesResponse: [
+    { name: 'ClientId', type: 'string' },
+    { name: 'Count', type: 'nonNegativeInteger' },
+    { name: 'TotalBilled', type: 'Amount' },
+    { name: 'TotalOutstanding', type: 'Amount' },
+    { name: 'Currency', type: 'string' },
+    { name: 'Invoices', type: 'Invoices' }
+  ],
+  RecordPaymentRequest: [
+    { name: 'BillingRef', type: 'NonEmptyString' },
+    { name: 'Amount', type: 'Amount' },
+    { name: 'PaymentRef', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'PaidAt', type: 'dateTime', minOccurs: 0 }
+  ],
+  RecordPaymentResponse: [
+    { name: 'Success', type: 'boolean' },
+    { name: 'Invoice', type: 'Invoice' },
+    { name: 'Message', type: 'string' }
+  ],
+  RegisterCallbackRequest: [
+    { name: 'Url', type: 'NonEmptyString' },
+    { name: 'ClientId', type: 'NonEmptyString', minOccurs: 0 },
+    { name: 'SoapVersion', type: 'SoapVersion', minOccurs: 0 }
+  ],
+  RegisterCallbackResponse: [
+    { name: 'Success', type: 'boolean' },
+    { name: 'Subscription', type: 'CallbackSubscription' },
+    { name: 'Message', type: 'string' }
+  ],
+  UnregisterCallbackRequest: [
+    { name: 'SubscriptionId', type: 'NonEmptyString' }
+  ],
+  UnregisterCallbackResponse: [
+    { name: 'Success', type: 'boolean' },
+    { name: 'SubscriptionId', type: 'string' },
+    { name: 'Message', type: 'string' }
+  ],
+  ListCallbacksRequest: [
+    { name: 'ClientId', type: 'NonEmptyString', minOccurs: 0 }
+  ],
+  ListCallbacksResponse: [
+    { name: 'Total', type: 'nonNegativeInteger' },
+    { name: 'Subscriptions', type: 'CallbackSubscriptions' }
+  ],
+  // Sent to registered callback URLs (SOAPAction http://swiftlogistics.cms/OrderStatusChanged)
+  OrderStatusChanged: [
+    { name: 'EventId', type: 'string' },
+    { name: 'CmsOrderId', type: 'string' },
+    { name: 'ClientId', type: 'string' },
+    { name: 'ClientOrderRef', type: 'string' },
+    { name: 'PreviousStatus', type: 'OrderStatus', minOccurs: 0 },
+    { name: 'Status', type: 'OrderStatus' },
+    { name: 'ChangedAt', type: 'dateTime' },
+    { name: 'Note', type: 'string', minOccurs: 0 }
+  ],
+  ValidationErrors: [
+    { name: 'Error', type: 'ValidationError', maxOccurs: 'unbounded' }
+  ],
+  CmsFault: [
+    { name: 'Code', type: 'string' },
+    { name: 'Message', type: 'string' }
+  ]
+};
+
+// Operations published in the WSDL; every one can fault with ValidationErrors or CmsFault
+export const operations = {
+  CreateOrder: { input: 'CreateOrderRequest', output: 'CreateOrderResponse', documentation: 'Submit a new delivery order' },
+  GetOrderStatus: { input: 'GetOrderStatusRequest', output: 'GetOrderStatusResponse', documentation: 'Current status of an order' },
+  CancelOrder: { input: 'CancelOrderRequest', output: 'CancelOrderResponse', documentation: 'Cancel an order; Confirmed orders incur a cancellation fee' },
+  UpdateOrder: { input: 'UpdateOrderRequest', output: 'UpdateOrderResponse', documentation: 'Amend an order\'s addresses, items or contact while Received or Processing' },
+  CreateOrdersBatch: { input: 'CreateOrdersBatchRequest', output: 'CreateOrdersBatchResponse', documentation: 'Submit many orders at once; each order is accepted or rejected on its own' },
+  GetBatchStatus: { input: 'GetBatchStatusRequest', output: 'GetBatchStatusResponse', documentation: 'Results of a batch with the current status of its orders' },
+  SearchOrders: { input: 'SearchOrdersRequest', output: 'SearchOrdersResponse', documentation: 'Orders matching client, reference, status and creation date (From/To inclusive), sorted and paged' },
+  GetClient: { input: 'GetClientRequest', output: 'GetClientResponse', documentation: 'Client account details' },
+  CreateClient: { input: 'CreateClientRequest', output: 'CreateClientResponse', documentation: 'Register a client account' },
+  UpdateClient: { input: 'UpdateClientRequest', output: 'UpdateClientResponse', documentation: 'Change a client\'s name, contact, contract tier or credit limit' },
+  SuspendClient: { input: 'SuspendClientRequest', output: 'SuspendClientResponse', documentation: 'Suspend a client; suspended clients cannot place orders' },
+  ReactivateClient: { input: 'ReactivateClientRequest', output: 'ReactivateClientResponse', documentation: 'Lift a client suspension' },
+  ListClients: { input: 'ListClientsRequest', output: 'ListClientsResponse', documentation: 'Client accounts, optionally filtered by status and contract tier' },
+  GetInvoice: { input: 'GetInvoiceRequest', output: 'GetInvoiceResponse', documentation: 'Invoice for a BillingRef' },
+  ListInvoices: { input: 'ListInvoicesRequest', output: 'ListInvoicesResponse', documentation: 'A client\'s invoices issued in a period (From/To inclusive)' },
+  RecordPayment: { input: 'RecordPaymentRequest', output: 'RecordPaymentResponse', documentation: 'Apply a payment to an invoice' },
+  RegisterCallback: { input: 'RegisterCallbackRequest', output: 'RegisterCallbackResponse', documentation: 'Receive an OrderStatusChanged message at a URL on every order status change' },
+  UnregisterCallback: { input: 'UnregisterCallbackRequest', output: 'UnregisterCallbackResponse', documentation: 'Stop a callback subscription' },
+  ListCallbacks: { input: 'ListCallbacksRequest', output: 'ListCallbacksResponse', documentation: 'Callback subscriptions, optionally those covering one client' }
+};
+
+// Schema errors are reported in a ValidationErrors detail, business rule errors in a CmsFault detail
+export const FAULT_DETAIL_ELEMENT = 'ValidationErrors';
+export const CMS_FAULT_ELEMENT = 'CmsFault';
+export const FAULT_ELEMENTS = [FAULT_DETAIL_ELEMENT, CMS_FAULT_ELEMENT];
+const MAX_ERRORS = 20;
+
+// Order statuses of the loaded lifecycle; NotFound is what GetOrderStatus reports for unknown orders
+export function setOrderStatuses(statuses) {
+  simpleTypes.OrderStatus.enumeration = [...statuses, 'NotFound'];
+}
+
+// Operation whose request element is `elementName`, or null
+export function operationForElement(elementName) {
+  const entry = Object.entries(operations).find(([, op]) => op.input === elementName);
+  return entry ? entry[0] : null;
+}
+
+const BUILTIN_CHECKS = {
+  string: () => null,
+  boolean: text => (/^(true|false|1|0)$/.test(text) ? null : 'must be a boolean (true/false)'),
+  int: text => (/^[+-]?\d+$/.test(text) ? null : 'must be an integer'),
+  positiveInteger: text => (/^\+?\d+$/.test(text) && Number(text) > 0 ? null : 'must be a positive integer'),
+  nonNegativeInteger: text => (/^\+?\d+$/.test(text) ? null : 'must be a non-negative integer'),
+  decimal: text => (/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(text) ? null : 'must be a decimal number'),
+  date: text => (/^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(Date.parse(text)) ? null : 'must be a date (YYYY-MM-DD)'),
+  dateTime: text => (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(text) && !Number.isNaN(Date.parse(text))
+    ? null
+    : 'must be a dateTime (YYYY-MM-DDThh:mm:ss)')
+};
+
+export function isBuiltinType(type) {
+  return Object.prototype.hasOwnProperty.call(BUILTIN_CHECKS, type);
+}
+
+function toArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// xml2js (explicitArray: false) gives a string for text-only elements, and an
+// object with `_` (text) and `$` (attributes) otherwise
+function textOf(value) {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object') return typeof value._ === 'string' ? value._ : '';
+  return '';
+}
+
+function childNames(value) {
+  return value && typeof value === 'object' ? Object.keys(value).filter(key => key !== '$' && key !== '_') : [];
+}
+
+function checkSimple(type, value, path, errors) {
+  if (childNames(value).length) {
+    errors.push({ path, message: 'must not contain child elements' });
+    return;
+  }
+  const text = textOf(value).trim();
+  if (isBuiltinType(type)) {
+    const problem = BUILTIN_CHECKS[type](text);
+    if (problem) errors.push({ path, message: `${problem}, got "${text}"` });
+    return;
+  }
+
+  const restriction = simpleTypes[type];
+  const problem = BUILTIN_CHECKS[restriction.base](text);
+  if (problem) {
+    errors.push({ path, message: `${problem}, got "${text}"` });
+  } else if (restriction.minLength && text.length < restriction.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  } else if (restriction.maxLength && text.length > restriction.maxLength) {
+    errors.push({ path, message: `must be at most ${restriction.maxLength} characters` });
+  } else if (restriction.minInclusive !== undefined && Number(text) < restriction.minInclusive) {
+    errors.push({ path, message: `must be at least ${restriction.minInclusive}, got "${text}"` });
+  } else if (restriction.maxInclusive !== undefined && Number(text) > restriction.maxInclusive) {
+    errors.push({ path, message: `must be at most ${restriction.maxInclusive}, got "${text}"` });
+  } else if (restriction.enumeration && !restriction.enumeration.includes(text)) {
+    errors.push({ path, message: `must be one of ${restriction.enumeration.join(', ')}, got "${text}"` });
+  }
+}
+
+function checkSequence(sequence, value, path, errors) {
+  if (textOf(value).trim()) {
+    errors.push({ path, message: 'must not contain text' });
+  }
+
+  // Children must appear in sequence order
+  let lastPosition = -1;
+  for (const name of childNames(value)) {
+    const position = sequence.findIndex(child => child.name === name);
+    if (position === -1) {
+      errors.push({ path: `${path}/${name}`, message: 'is not allowed here' });
+    } else if (position < lastPosition) {
+      errors.push({ path: `${path}/${name}`, message: `must appear before ${sequence[lastPosition].name}` });
+    } else {
+      lastPosition = position;
+    }
+  }
+
+  for (const child of sequence) {
+    const occurrences = toArray(value && typeof value === 'object' ? value[child.name] : undefined);
+    const minOccurs = child.minOccurs ?? 1;
+    const maxOccurs = child.maxOccurs ?? 1;
+    if (occurrences.length < minOccurs) {
+      errors.push({ path: `${path}/${child.name}`, message: 'is required' });
+    } else if (maxOccurs !== 'unbounded' && occurrences.length > maxOccurs) {
+      errors.push({ path: `${path}/${child.name}`, message: `may appear at most ${maxOccurs} time(s)` });
+    }
+    // Deferred children are validated one by one by their operation
+    if (child.deferred) continue;
+    occurrences.forEach((occurrence, i) => {
+      const childPath = maxOccurs === 1 ? `${path}/${child.name}` : `${path}/${child.name}[${i + 1}]`;
+      checkType(child.type, occurrence, childPath, errors);
+    });
+  }
+}
+
+function checkType(type, value, path, errors) {
+  if (complexTypes[type]) {
+    checkSequence(complexTypes[type], value, path, errors);
+  } else {
+    checkSimple(type, value, path, errors);
+  }
+}
+
+/**
+ * Validate a parsed request body element against the schema.
+ * @param {string} elementName - e.g. CreateOrderRequest
+ * @param {*} value - the element as parsed by xml2js (explicitArray: false, prefixes stripped)
+ * @returns {Array<{ path: string, message: string }>} empty when valid; at most MAX_ERRORS entries
+ */
+export function validateElement(elementName, value) {
+  const errors = [];
+  if (!elements[elementName]) {
+    errors.push({ path: elementName, message: 'is not a known request element' });
+    return errors;
+  }
+  checkSequence(elements[elementName], value === '' ? {} : value, elementName, errors);
+  return errors.slice(0, MAX_ERRORS);
+}
@@ -0,0 +1,185 @@
+// SOAP 1.1 / 1.2 envelopes: version detection, operation dispatch, responses and faults
+//
+// A request is answered in the SOAP version it was sent in. The version comes
+// from the Envelope namespace, or from the Content-Type when the envelope has
+// no namespace (text/xml is 1.1, application/soap+xml is 1.2).
+import { parseStringPromise, Builder, processors } from 'xml2js';
+import { TNS, FAULT_DETAIL_ELEMENT, CMS_FAULT_ELEMENT, operations, operationForElement } from './schema.js';
+
+export const SOAP_11 = {
+  version: '1.1',
+  namespace: 'http://schemas.xmlsoap.org/soap/envelope/',
+  contentType: 'text/xml; charset=utf-8',
+  faultCodes: { Client: 'soap:Client', Server: 'soap:Server', VersionMismatch: 'soap:VersionMismatch' }
+};
+
+export const SOAP_12 = {
+  version: '1.2',
+  namespace: 'http://www.w3.org/2003/05/soap-envelope',
+  contentType: 'application/soap+xml; charset=utf-8',
+  faultCodes: { Client: 'soap:Sender', Server: 'soap:Receiver', VersionMismatch: 'soap:VersionMismatch' }
+};
+
+const FAULT_HTTP_STATUS = { Client: 400, Server: 500, VersionMismatch: 500 };
+
+// Media type and parameters of a Content-Type header, e.g. the SOAP 1.2 `action` parameter
+function parseContentType(header = '') {
+  const [mediaType, ...params] = header.split(';');
+  const parameters = {};
+  for (const param of params) {
+    const eq = param.indexOf('=');
+    if (eq === -1) continue;
+    parameters[param.slice(0, eq).trim().toLowerCase()] = param.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+  return { mediaType: mediaType.trim().toLowerCase(), parameters };
+}
+
+function versionForContentType(mediaType) {
+  return mediaType === 'application/soap+xml' ? SOAP_12 : SOAP_11;
+}
+
+/**
+ * Parse a SOAP request.
+ * @param {string} rawXml
+ * @param {object} headers - Express request headers (content-type, soapaction)
+ * @returns {Promise<{ version: object, element: string, payload: *, header: object|null, action: string|null } | { version: object, fault: object }>}
+ *   header is the parsed soap:Header (e.g. the WS-Security block), action the requested operation
+ *   from SOAPAction / the content-type action parameter, if any
+ */
+export async function parseSoapRequest(rawXml, headers) {
+  const { mediaType, parameters } = parseContentType(headers['content-type']);
+  const contentTypeVersion = versionForContentType(mediaType);
+
+  // Remember the prefix the root Envelope was written with, to look up its namespace declaration
+  let envelopePrefix = null;
+  const recordEnvelopePrefix = name => {
+    const match = envelopePrefix === null && /^(?:([^:]+):)?Envelope$/.exec(name);
+    if (match) envelopePrefix = match[1] || '';
+    return name;
+  };
+  const parsed = await parseStringPromise(rawXml, {
+    explicitArray: false,
+    tagNameProcessors: [recordEnvelopePrefix, processors.stripPrefix]
+  });
+
+  // Typical structure: parsed.Envelope.Body.<OperationRequest>
+  const envelope = parsed.Envelope || parsed;
+  let version = contentTypeVersion;
+  if (parsed.Envelope) {
+    const attributes = envelope.$ || {};
+    const namespace = attributes[envelopePrefix ? `xmlns:${envelopePrefix}` : 'xmlns'];
+    if (namespace === SOAP_11.namespace) {
+      version = SOAP_11;
+    } else if (namespace === SOAP_12.namespace) {
+      version = SOAP_12;
+    } else if (namespace) {
+      return { version, fault: { code: 'VersionMismatch', reason: `Unsupported SOAP envelope namespace "${namespace}"` } };
+    }
+  }
+
+  const body = envelope.Body;
+  if (!body || typeof body !== 'object') {
+    return { version, fault: { code: 'Client', reason: 'Invalid SOAP: Body not found' } };
+  }
+  const element = Object.keys(body).find(key => key !== '$');
+  if (!element) {
+    return { version, fault: { code: 'Client', reason: 'No SOAP action found' } };
+  }
+
+  // SOAP 1.1 names the operation in the SOAPAction header, SOAP 1.2 in the action parameter;
+  // an empty value ("") means the intent is not stated
+  const actionHeader = version === SOAP_12 ? parameters.action : headers.soapaction;
+  const action = actionHeader ? actionHeader.trim().replace(/^"(.*)"$/, '$1') : '';
+
+  const header = envelope.Header && typeof envelope.Header === 'object' ? envelope.Header : null;
+  return { version, element, payload: body[element], header, action: action || null };
+}
+
+/**
+ * The operation a parsed request asks for. The SOAPAction / action value may be
+ * the full URI from the WSDL (http://swiftlogistics.cms/CreateOrder) or just the
+ * operation name; without one the operation is inferred from the body element.
+ * @returns {{ operation: string } | { fault: object }}
+ */
+export function resolveOperation({ element, action }) {
+  if (!action) {
+    const operation = operationForElement(element);
+    if (!operation) return { fault: { code: 'Client', reason: `Unknown action "${element}"` } };
+    return { operation };
+  }
+
+  const name = action.startsWith(TNS) ? action.slice(TNS.length) : action;
+  if (!Object.prototype.hasOwnProperty.call(operations, name)) {
+    return { fault: { code: 'Client', reason: `Unknown SOAPAction "${action}"` } };
+  }
+  if (operations[name].input !== element) {
+    return { fault: { code: 'Client', reason: `SOAPAction "${action}" expects a ${operations[name].input} body, got ${element}` } };
+  }
+  return { operation: name };
+}
+
+export function buildSoapEnvelope(version, bodyContent) {
+  const builder = new Builder({ headless: true, renderOpts: { pretty: true } });
+  const envelope = {
+    'soap:Envelope': {
+      '$': { 'xmlns:soap': version.namespace },
+      'soap:Body': bodyContent
+    }
+  };
+  return builder.buildObject(envelope);
+}
+
+/**
+ * A SOAP fault envelope in the given version.
+ * @param {object} version - SOAP_11 or SOAP_12
+ * @param {object} fault
+ * @param {string} [fault.code] - Client (default), Server or VersionMismatch; mapped to the version's fault codes
+ * @param {string} fault.reason
+ * @param {Array<{ path: string, message: string }>} [fault.validationErrors] - become a ValidationErrors detail
+ * @param {string} [fault.errorCode] - machine-readable business error (e.g. ClientNotFound), sent in a CmsFault detail
+ * @param {{ prefix: string, namespace: string, value: string }} [fault.subcode] - a qualified code from another
+ *   namespace (e.g. wsse:FailedAuthentication); the faultcode in SOAP 1.1, a Subcode under the Code in SOAP 1.2
+ */
+export function buildSoapFault(version, { code = 'Client', reason, validationErrors, errorCode, subcode }) {
+  let detail = null;
+  if (errorCode) {
+    detail = { [CMS_FAULT_ELEMENT]: { '$': { xmlns: TNS }, Code: errorCode, Message: reason } };
+  } else if (validationErrors && validationErrors.length) {
+    detail = {
+      [FAULT_DETAIL_ELEMENT]: {
+        '$': { xmlns: TNS },
+        Error: validationErrors.map(({ path, message }) => ({ Path: path, Message: message }))
+      }
+    };
+  }
+
+  const qualifiedSubcode = subcode && { '$': { [`xmlns:${subcode.prefix}`]: subcode.namespace }, '_': `${subcode.prefix}:${subcode.value}` };
+  const fault = version === SOAP_12
+    ? {
+      'soap:Code': {
+        'soap:Value': version.faultCodes[code],
+        ...(subcode && { 'soap:Subcode': { 'soap:Value': qualifiedSubcode } })
+      },
+      'soap:Reason': { 'soap:Text': { '$': { 'xml:lang': 'en' }, '_': reason } },
+      ...(detail && { 'soap:Detail': detail })
+    }
+    : {
+      faultcode: qualifiedSubcode || version.faultCodes[code],
+      faultstring: reason,
+      ...(detail && { detail })
+    };
+  return buildSoapEnvelope(version, { 'soap:Fault': fault });
+}
+
+// Send a response envelope with the Content-Type of its SOAP version
+export function sendSoap(res, version, bodyContent) {
+  return res.type(version.contentType).send(buildSoapEnvelope(version, bodyContent));
+}
+
+// Send a fault; the HTTP status follows the fault code (Client 400, otherwise 500) unless given
+export function sendSoapFault(res, version, fault, status) {
+  return res
+    .status(status || FAULT_HTTP_STATUS[fault.code || 'Client'])
+    .type(version.contentType)
+    .send(buildSoapFault(version, fault));
+}
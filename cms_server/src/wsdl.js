@@ -0,0 +1,161 @@
+// Renders the XSD and WSDL 1.1 documents served at GET /soap?xsd and GET /soap?wsdl
+import {
+  TNS,
+  simpleTypes,
+  complexTypes,
+  elements,
+  operations,
+  FAULT_ELEMENTS,
+  isBuiltinType
+} from './schema.js';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function qualifiedType(type) {
+  return isBuiltinType(type) ? `xsd:${type}` : `tns:${type}`;
+}
+
+function renderSequence(sequence, indent) {
+  const pad = ' '.repeat(indent);
+  const children = sequence.map(child => {
+    const occurs = [
+      child.minOccurs !== undefined ? ` minOccurs="${child.minOccurs}"` : '',
+      child.maxOccurs !== undefined ? ` maxOccurs="${child.maxOccurs}"` : ''
+    ].join('');
+    return `${pad}  <xsd:element name="${child.name}" type="${qualifiedType(child.type)}"${occurs}/>`;
+  });
+  return [
+    `${pad}<xsd:sequence>`,
+    ...children,
+    `${pad}</xsd:sequence>`
+  ].join('\n');
+}
+
+function renderSimpleType(name, restriction) {
+  const facets = [];
+  if (restriction.minLength !== undefined) facets.push(`      <xsd:minLength value="${restriction.minLength}"/>`);
+  if (restriction.maxLength !== undefined) facets.push(`      <xsd:maxLength value="${restriction.maxLength}"/>`);
+  if (restriction.minInclusive !== undefined) facets.push(`      <xsd:minInclusive value="${restriction.minInclusive}"/>`);
+  if (restriction.maxInclusive !== undefined) facets.push(`      <xsd:maxInclusive value="${restriction.maxInclusive}"/>`);
+  (restriction.enumeration || []).forEach(value => facets.push(`      <xsd:enumeration value="${escapeXml(value)}"/>`));
+  return [
+    `  <xsd:simpleType name="${name}">`,
+    `    <xsd:restriction base="xsd:${restriction.base}">`,
+    ...facets,
+    '    </xsd:restriction>',
+    '  </xsd:simpleType>'
+  ].join('\n');
+}
+
+/**
+ * The service schema as an xsd:schema element.
+ * @param {number} [indent] - spaces to indent every line by (for embedding in the WSDL)
+ * @returns {string}
+ */
+export function renderSchema(indent = 0) {
+  const parts = [
+    `<xsd:schema xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:tns="${TNS}" targetNamespace="${TNS}" elementFormDefault="qualified">`
+  ];
+  for (const [name, restriction] of Object.entries(simpleTypes)) {
+    parts.push(renderSimpleType(name, restriction));
+  }
+  for (const [name, sequence] of Object.entries(complexTypes)) {
+    parts.push(`  <xsd:complexType name="${name}">\n${renderSequence(sequence, 4)}\n  </xsd:complexType>`);
+  }
+  for (const [name, sequence] of Object.entries(elements)) {
+    parts.push([
+      `  <xsd:element name="${name}">`,
+      '    <xsd:complexType>',
+      renderSequence(sequence, 6),
+      '    </xsd:complexType>',
+      '  </xsd:element>'
+    ].join('\n'));
+  }
+  parts.push('</xsd:schema>');
+
+  const pad = ' '.repeat(indent);
+  return parts.join('\n').split('\n').map(line => pad + line).join('\n');
+}
+
+export function renderXsd() {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderSchema()}\n`;
+}
+
+// One wsdl:binding per SOAP version; `prefix` is bound to that version's WSDL extension namespace
+function renderBinding(name, prefix) {
+  const bindingOperations = Object.keys(operations).map(operation => [
+    `    <wsdl:operation name="${operation}">`,
+    `      <${prefix}:operation soapAction="${TNS}${operation}" style="document"/>`,
+    `      <wsdl:input><${prefix}:body use="literal"/></wsdl:input>`,
+    `      <wsdl:output><${prefix}:body use="literal"/></wsdl:output>`,
+    ...FAULT_ELEMENTS.map(fault => `      <wsdl:fault name="${fault}"><${prefix}:fault name="${fault}" use="literal"/></wsdl:fault>`),
+    '    </wsdl:operation>'
+  ].join('\n'));
+  return [
+    `  <wsdl:binding name="${name}" type="tns:CmsPortType">`,
+    `    <${prefix}:binding style="document" transport="http://schemas.xmlsoap.org/soap/http"/>`,
+    ...bindingOperations,
+    '  </wsdl:binding>'
+  ].join('\n');
+}
+
+/**
+ * The WSDL 1.1 document with the schema inline and document/literal SOAP 1.1 and SOAP 1.2 bindings.
+ * @param {string} address - endpoint URL for both ports
+ * @returns {string}
+ */
+export function renderWsdl(address) {
+  const messages = [];
+  const portOperations = [];
+
+  for (const [name, op] of Object.entries(operations)) {
+    messages.push(`  <wsdl:message name="${op.input}">\n    <wsdl:part name="parameters" element="tns:${op.input}"/>\n  </wsdl:message>`);
+    messages.push(`  <wsdl:message name="${op.output}">\n    <wsdl:part name="parameters" element="tns:${op.output}"/>\n  </wsdl:message>`);
+    portOperations.push([
+      `    <wsdl:operation name="${name}">`,
+      `      <wsdl:documentation>${escapeXml(op.documentation)}</wsdl:documentation>`,
+      `      <wsdl:input message="tns:${op.input}"/>`,
+      `      <wsdl:output message="tns:${op.output}"/>`,
+      ...FAULT_ELEMENTS.map(fault => `      <wsdl:fault name="${fault}" message="tns:${fault}"/>`),
+      '    </wsdl:operation>'
+    ].join('\n'));
+  }
+  for (const fault of FAULT_ELEMENTS) {
+    messages.push(`  <wsdl:message name="${fault}">\n    <wsdl:part name="detail" element="tns:${fault}"/>\n  </wsdl:message>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<wsdl:definitions name="CmsService" targetNamespace="${TNS}"`,
+    '    xmlns:wsdl="http://schemas.xmlsoap.org/wsdl/"',
+    '    xmlns:soap="http://schemas.xmlsoap.org/wsdl/soap/"',
+    '    xmlns:soap12="http://schemas.xmlsoap.org/wsdl/soap12/"',
+    '    xmlns:xsd="http://www.w3.org/2001/XMLSchema"',
+    `    xmlns:tns="${TNS}">`,
+    '  <wsdl:types>',
+    renderSchema(4),
+    '  </wsdl:types>',
+    ...messages,
+    '  <wsdl:portType name="CmsPortType">',
+    ...portOperations,
+    '  </wsdl:portType>',
+    renderBinding('CmsSoapBinding', 'soap'),
+    renderBinding('CmsSoap12Binding', 'soap12'),
+    '  <wsdl:service name="CmsService">',
+    '    <wsdl:port name="CmsSoapPort" binding="tns:CmsSoapBinding">',
+    `      <soap:address location="${escapeXml(address)}"/>`,
+    '    </wsdl:port>',
+    '    <wsdl:port name="CmsSoap12Port" binding="tns:CmsSoap12Binding">',
+    `      <soap12:address location="${escapeXml(address)}"/>`,
+    '    </wsdl:port>',
+    '  </wsdl:service>',
+    '</wsdl:definitions>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,127 @@
+// WS-Security UsernameToken authentication
+//
+// Enabled by pointing WS_SECURITY_CREDENTIALS_FILE at a credentials file.
+// Every request then needs a wsse:Security header with a UsernameToken whose
+// password is a PasswordDigest: Base64(SHA-1(nonce + created + password)).
+// Created must be within WS_SECURITY_MAX_SKEW_SECONDS of the server clock and
+// a nonce is accepted only once while its message is fresh, so a captured
+// request cannot be replayed. Each user acts for one ClientId, or for all
+// clients with "all_clients": true.
+import fs from 'fs';
+import crypto from 'crypto';
+
+export const WSSE_NS = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd';
+const PASSWORD_DIGEST = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest';
+const MAX_SKEW_MS = parseInt(process.env.WS_SECURITY_MAX_SKEW_SECONDS || '300', 10) * 1000;
+
+let users = null; // username -> { password, clientId } (clientId null: all clients); null when disabled
+const seenNonces = new Map(); // nonce -> time it can be forgotten
+
+function normaliseCredentials(raw) {
+  const entries = raw.users || [];
+  if (!Array.isArray(entries) || !entries.length) throw new Error('Credentials file needs a non-empty "users" array');
+
+  const byName = new Map();
+  entries.forEach((entry, i) => {
+    if (!entry.username || typeof entry.password !== 'string' || !entry.password) {
+      throw new Error(`Credentials users[${i}] needs a username and a password`);
+    }
+    if (byName.has(entry.username)) throw new Error(`Credentials user "${entry.username}" is listed twice`);
+    if (!entry.client_id && entry.all_clients !== true) {
+      throw new Error(`Credentials user "${entry.username}" needs a client_id (or "all_clients": true)`);
+    }
+    byName.set(entry.username, { password: entry.password, clientId: entry.all_clients === true ? null : entry.client_id });
+  });
+  return byName;
+}
+
+/**
+ * Load a credentials file and require WS-Security on every request.
+ * @param {string} file
+ * @returns {{ file: string, users: number }}
+ */
+export function loadCredentials(file) {
+  users = normaliseCredentials(JSON.parse(fs.readFileSync(file, 'utf8')));
+  return { file, users: users.size };
+}
+
+export function isEnabled() {
+  return users !== null;
+}
+
+// Text of an element parsed by xml2js, which is an object when the element has attributes
+function textOf(value) {
+  if (typeof value === 'string') return value.trim();
+  if (value && typeof value._ === 'string') return value._.trim();
+  return '';
+}
+
+function failure(subcode, reason) {
+  return { fault: { code: 'Client', subcode: { prefix: 'wsse', namespace: WSSE_NS, value: subcode }, reason } };
+}
+
+function forgetExpiredNonces(now) {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt <= now) seenNonces.delete(nonce);
+  }
+}
+
+/**
+ * Check the UsernameToken in a request's SOAP header.
+ * @param {object|null} header - the parsed soap:Header
+ * @returns {{ principal: { username: string, clientId: string|null } } | { fault: object }}
+ *   principal.clientId is null for users that may act for every client
+ */
+export function authenticate(header) {
+  const token = header && header.Security && header.Security.UsernameToken;
+  if (!token) return failure('InvalidSecurity', 'A wsse:Security header with a UsernameToken is required');
+
+  const username = textOf(token.Username);
+  const password = token.Password;
+  const passwordType = password && password.$ && password.$.Type;
+  if (passwordType !== PASSWORD_DIGEST) {
+    return failure('UnsupportedSecurityToken', 'UsernameToken Password must be of Type PasswordDigest');
+  }
+
+  const nonce = textOf(token.Nonce);
+  const created = textOf(token.Created);
+  if (!username || !nonce || !created) {
+    return failure('InvalidSecurityToken', 'UsernameToken needs Username, Password, Nonce and Created');
+  }
+
+  const now = Date.now();
+  const createdAt = Date.parse(created);
+  if (Number.isNaN(createdAt)) return failure('InvalidSecurityToken', `UsernameToken Created "${created}" is not a dateTime`);
+  if (Math.abs(now - createdAt) > MAX_SKEW_MS) {
+    return failure('MessageExpired', `UsernameToken Created ${created} is outside the allowed ${MAX_SKEW_MS / 1000}s window`);
+  }
+
+  // Same message for unknown users and wrong passwords
+  const user = users.get(username);
+  const expected = user && crypto
+    .createHash('sha1')
+    .update(Buffer.concat([Buffer.from(nonce, 'base64'), Buffer.from(created, 'utf8'), Buffer.from(user.password, 'utf8')]))
+    .digest('base64');
+  // Compared as bytes: timingSafeEqual throws on buffers of different lengths
+  const digest = Buffer.from(textOf(password), 'utf8');
+  const expectedDigest = Buffer.from(expected || '', 'utf8');
+  if (!user || digest.byteLength !== expectedDigest.byteLength || !crypto.timingSafeEqual(digest, expectedDigest)) {
+    return failure('FailedAuthentication', 'The security token could not be authenticated');
+  }
+
+  forgetExpiredNonces(now);
+  if (seenNonces.has(nonce)) return failure('FailedAuthentication', 'UsernameToken Nonce has already been used');
+  seenNonces.set(nonce, createdAt + MAX_SKEW_MS);
+
+  return { principal: { username, clientId: user.clientId } };
+}
+
+// Whether a caller may act on a client's data; without WS-Security everyone may
+export function canAccessClient(principal, clientId) {
+  return !principal || principal.clientId === null || principal.clientId === clientId;
+}
+
+// Fault for a caller acting outside its client, e.g. accessDenied(principal, 'act for client client-456')
+export function accessDenied(principal, action) {
+  return { fault: { reason: `User ${principal.username} may not ${action}`, errorCode: 'AccessDenied' } };
+}
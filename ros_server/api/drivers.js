@@ -0,0 +1,178 @@
+// Driver registry, assignment and location tracking endpoints (mounted at /api/ros)
+const express = require('express');
+const { toPoint } = require('../src/geo');
+const { travelBetween } = require('../src/travel');
+const { travelDuration } = require('../src/traffic');
+const {
+  DRIVER_STATUSES,
+  isValidPoint,
+  createDriver,
+  updateDriver,
+  deleteDriver,
+  getDriver,
+  listDrivers,
+  updateLocation,
+  findNearestAvailable,
+  assignDriver,
+  resetDriver
+} = require('../src/drivers');
+
+const router = express.Router();
+
+// Public shape of a driver; the location history is only served on request
+function toDriverView(driver) {
+  const { locationHistory, ...view } = driver;
+  return view;
+}
+
+function sendError(res, status, error) {
+  return res.status(status).json({ success: false, error });
+}
+
+// Send a { driver } | { error, status } result from the registry
+function sendResult(res, result, status = 200) {
+  if (result.error) return sendError(res, result.status, result.error);
+  return res.status(status).json({ success: true, data: toDriverView(result.driver) });
+}
+
+// List all drivers, optionally filtered by ?status=
+router.get('/drivers', (req, res) => {
+  const { status } = req.query;
+  if (status && !DRIVER_STATUSES.includes(status)) {
+    return sendError(res, 400, `status must be one of: ${DRIVER_STATUSES.join(', ')}`);
+  }
+
+  const all = listDrivers();
+  res.json({
+    success: true,
+    data: {
+      drivers: listDrivers({ status }).map(toDriverView),
+      total: all.length,
+      available: all.filter(d => d.status === 'available').length,
+      onTrip: all.filter(d => d.status === 'on-trip').length
+    }
+  });
+});
+
+router.post('/drivers', (req, res) => {
+  sendResult(res, createDriver(req.body || {}), 201);
+});
+
+router.get('/drivers/:driverId', (req, res) => {
+  const driver = getDriver(req.params.driverId);
+  if (!driver) return sendError(res, 404, `Driver ${req.params.driverId} not found`);
+  res.json({ success: true, data: toDriverView(driver) });
+});
+
+router.patch('/drivers/:driverId', (req, res) => {
+  sendResult(res, updateDriver(req.params.driverId, req.body || {}));
+});
+
+router.delete('/drivers/:driverId', (req, res) => {
+  sendResult(res, deleteDriver(req.params.driverId));
+});
+
+router.post('/drivers/:driverId/location', (req, res) => {
+  const result = updateLocation(req.params.driverId, req.body);
+  if (result.error) return sendError(res, result.status, result.error);
+
+  const { driver } = result;
+  console.log(`[ROS] Driver ${driver.id} location: ${driver.currentLocation.latitude}, ${driver.currentLocation.longitude}`);
+  res.json({
+    success: true,
+    message: 'Location updated successfully',
+    data: {
+      driverId: driver.id,
+      location: driver.currentLocation,
+      timestamp: driver.lastLocationUpdate
+    }
+  });
+});
+
+// Current location; ?history=true adds the most recent recorded positions
+router.get('/drivers/:driverId/location', (req, res) => {
+  const driver = getDriver(req.params.driverId);
+  if (!driver) return sendError(res, 404, `Driver ${req.params.driverId} not found`);
+
+  const data = {
+    driverId: driver.id,
+    name: driver.name,
+    currentLocation: driver.currentLocation,
+    status: driver.status,
+    lastLocationUpdate: driver.lastLocationUpdate,
+    vehicle: driver.vehicle
+  };
+  if (req.query.history === 'true') data.history = driver.locationHistory;
+  res.json({ success: true, data });
+});
+
+router.post('/drivers/:driverId/reset', (req, res) => {
+  sendResult(res, resetDriver(req.params.driverId));
+});
+
+// Assign the nearest available driver that meets the order's requirements
+router.post('/assign-driver', (req, res) => {
+  const { orderId, pickupLocation, deliveryLocation, requiredCapacity, requiredSkills, vehicleType } = req.body || {};
+
+  if (!orderId || !pickupLocation) {
+    return sendError(res, 400, 'Missing required fields: orderId and pickupLocation');
+  }
+  const pickup = toPoint(pickupLocation);
+  if (!isValidPoint(pickup)) {
+    return sendError(res, 400, 'pickupLocation must have latitude/longitude in range');
+  }
+  const delivery = deliveryLocation ? toPoint(deliveryLocation) : null;
+  if (delivery && !isValidPoint(delivery)) {
+    return sendError(res, 400, 'deliveryLocation must have latitude/longitude in range');
+  }
+  if (requiredSkills !== undefined && !(Array.isArray(requiredSkills) && requiredSkills.every(skill => typeof skill === 'string'))) {
+    return sendError(res, 400, 'requiredSkills must be an array of strings');
+  }
+
+  const nearest = findNearestAvailable(pickup, {
+    capacity: requiredCapacity || 0,
+    skills: requiredSkills || [],
+    vehicleType
+  });
+  if (!nearest) {
+    return sendError(res, 409, 'No available driver matches the order requirements');
+  }
+
+  const driver = assignDriver(nearest.driver.id, orderId);
+  const now = Date.now();
+  const travel = travelBetween(driver.currentLocation, pickup);
+  const etaToPickup = travelDuration(travel.duration, now, { vehicleType: driver.vehicleType });
+
+  const data = {
+    driverId: driver.id,
+    name: driver.name,
+    vehicle: driver.vehicle,
+    vehicleType: driver.vehicleType,
+    currentLocation: driver.currentLocation,
+    distanceToPickup: Math.round(nearest.distance * 100) / 100,
+    etaToPickup,
+    estimatedArrival: new Date(now + etaToPickup * 1000).toISOString(),
+    contact: driver.contact,
+    metadata: {
+      assignedAt: new Date(now).toISOString(),
+      orderId
+    }
+  };
+
+  // With a delivery location, the leg from pickup to delivery starts when the driver reaches the pickup
+  if (delivery) {
+    const pickupAt = now + etaToPickup * 1000;
+    const leg = travelBetween(pickup, delivery);
+    const etaToDelivery = etaToPickup + travelDuration(leg.duration, pickupAt, { vehicleType: driver.vehicleType });
+    Object.assign(data, {
+      distanceToDelivery: Math.round(leg.distance * 100) / 100,
+      etaToDelivery,
+      estimatedDelivery: new Date(now + etaToDelivery * 1000).toISOString()
+    });
+  }
+
+  console.log(`[ROS] Driver ${driver.id} assigned to order ${orderId} (${nearest.distance.toFixed(2)}km away)`);
+  res.json({ success: true, data });
+});
+
+module.exports = router;
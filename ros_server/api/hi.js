@@ -1 +0,0 @@
-// hii
\ No newline at end of file
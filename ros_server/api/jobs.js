@@ -0,0 +1,69 @@
+// Asynchronous optimization job endpoints (mounted at /optimize)
+const express = require('express');
+const { validateOptimizeRequest, runOptimization } = require('../src/optimize');
+const { JOB_STATUSES, submitJob, getJob, listJobs, cancelJob } = require('../src/jobs');
+
+const router = express.Router();
+const MAX_PROCESSING_TIME_MS = 600000;
+
+function sendError(res, status, message) {
+  return res.status(status).json({ status: 'error', message });
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Submit an /optimize request body to run in the background
+router.post('/jobs', (req, res) => {
+  const body = req.body || {};
+  const options = body.options || {};
+
+  const { request, error } = validateOptimizeRequest(body);
+  if (error) return sendError(res, 400, error);
+
+  if (body.callback_url != null && !isHttpUrl(body.callback_url)) {
+    return sendError(res, 400, 'callback_url must be an http(s) URL');
+  }
+  const processingMs = options.processing_time_ms;
+  if (processingMs != null && !(Number.isInteger(processingMs) && processingMs >= 0 && processingMs <= MAX_PROCESSING_TIME_MS)) {
+    return sendError(res, 400, `options.processing_time_ms must be an integer between 0 and ${MAX_PROCESSING_TIME_MS}`);
+  }
+
+  const failure = options.simulate_failure;
+  const job = submitJob({
+    run: () => runOptimization(request),
+    callbackUrl: body.callback_url,
+    processingMs,
+    failWith: failure ? (typeof failure === 'string' ? failure : 'Simulated optimization failure') : null
+  });
+
+  console.log(`[ROS] Job ${job.id} queued (${request.vehicles.length} vehicles, ${request.locations.length} locations)`);
+  res.status(202).location(job.status_url).json({ status: 'success', job });
+});
+
+router.get('/jobs', (req, res) => {
+  const { status } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return sendError(res, 400, `status must be one of: ${JOB_STATUSES.join(', ')}`);
+  }
+  res.json({ status: 'success', jobs: listJobs({ status }) });
+});
+
+router.get('/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) return sendError(res, 404, `Job ${req.params.jobId} not found`);
+  res.json({ status: 'success', job });
+});
+
+router.post('/jobs/:jobId/cancel', (req, res) => {
+  const result = cancelJob(req.params.jobId);
+  if (result.error) return sendError(res, result.status, result.error);
+  res.json({ status: 'success', job: result.job });
+});
+
+module.exports = router;
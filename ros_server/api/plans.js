@@ -0,0 +1,64 @@
+// Route plan endpoints (mounted at /api/ros): stored /optimize results and in-flight changes
+const express = require('express');
+const { getPlan, insertStops, cancelStop, breakdownVehicle } = require('../src/plans');
+
+const router = express.Router();
+
+function sendError(res, status, message) {
+  return res.status(status).json({ status: 'error', message });
+}
+
+function sendPlan(res, plan) {
+  res.json({ status: 'success', ...plan.response, timestamp: new Date().toISOString() });
+}
+
+// Resolve :planId and the replan time (body.as_of, default now) for the handlers below
+function withPlan(handler) {
+  return (req, res) => {
+    const plan = getPlan(req.params.planId);
+    if (!plan) return sendError(res, 404, `Route plan ${req.params.planId} not found`);
+
+    const body = req.body || {};
+    const asOf = body.as_of ? Date.parse(body.as_of) : Date.now();
+    if (Number.isNaN(asOf)) {
+      return sendError(res, 400, `Invalid as_of "${body.as_of}" (expected ISO 8601)`);
+    }
+
+    const result = handler(plan, body, asOf, req);
+    if (result.error) return sendError(res, result.status, result.error);
+
+    const { action } = plan.history[plan.history.length - 1];
+    console.log(`[ROS] Plan ${plan.id} re-optimized (${action}), version ${plan.version}`);
+    sendPlan(res, plan);
+  };
+}
+
+router.get('/plans/:planId', (req, res) => {
+  const plan = getPlan(req.params.planId);
+  if (!plan) return sendError(res, 404, `Route plan ${req.params.planId} not found`);
+  sendPlan(res, plan);
+});
+
+// Insert one or more stops (same format as /optimize locations)
+router.post('/plans/:planId/stops', withPlan((plan, body, asOf) => {
+  const locations = body.locations || (body.location ? [body.location] : []);
+  if (!locations.length) {
+    return { error: 'Missing required field: locations array (or a single location)', status: 400 };
+  }
+  for (let i = 0; i < locations.length; i++) {
+    if (typeof locations[i].coordinates?.lat !== 'number' || typeof locations[i].coordinates?.lng !== 'number') {
+      return { error: `Location ${locations[i].id || i} missing coordinates (lat/lng)`, status: 400 };
+    }
+  }
+  return insertStops(plan, locations, asOf);
+}));
+
+router.post('/plans/:planId/stops/:stopId/cancel', withPlan((plan, body, asOf, req) => {
+  return cancelStop(plan, req.params.stopId, asOf);
+}));
+
+router.post('/plans/:planId/vehicles/:vehicleId/breakdown', withPlan((plan, body, asOf, req) => {
+  return breakdownVehicle(plan, req.params.vehicleId, asOf);
+}));
+
+module.exports = router;
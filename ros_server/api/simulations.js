@@ -0,0 +1,82 @@
+// Route simulation endpoints (mounted at /api/ros); simulations are started by /optimize
+const express = require('express');
+const {
+  getSimulation,
+  listSimulations,
+  stopSimulation,
+  subscribe,
+  snapshot
+} = require('../src/simulation');
+
+const router = express.Router();
+const KEEP_ALIVE_MS = 15000;
+
+function notFound(res, id) {
+  return res.status(404).json({
+    status: 'error',
+    message: `Simulation ${id} not found`
+  });
+}
+
+router.get('/simulations', (req, res) => {
+  res.json({
+    status: 'success',
+    simulations: listSimulations().map(simulation => ({
+      id: simulation.id,
+      status: simulation.status,
+      speed: simulation.speed,
+      vehicles: simulation.vehicles.length,
+      created_at: simulation.createdAt,
+      finished_at: simulation.finishedAt
+    }))
+  });
+});
+
+router.get('/simulations/:simulationId', (req, res) => {
+  const simulation = getSimulation(req.params.simulationId);
+  if (!simulation) return notFound(res, req.params.simulationId);
+  res.json({ status: 'success', simulation: snapshot(simulation) });
+});
+
+router.post('/simulations/:simulationId/stop', (req, res) => {
+  const result = stopSimulation(req.params.simulationId);
+  if (result.error) {
+    return res.status(result.status).json({ status: 'error', message: result.error });
+  }
+  console.log(`[ROS] Simulation ${result.simulation.id} stopped`);
+  res.json({ status: 'success', simulation: snapshot(result.simulation) });
+});
+
+// Server-Sent Events stream; a reconnecting client's Last-Event-ID replays what it missed
+router.get('/simulations/:simulationId/events', (req, res) => {
+  const simulation = getSimulation(req.params.simulationId);
+  if (!simulation) return notFound(res, req.params.simulationId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(`retry: ${simulation.tickMs}\n\n`);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.after || '0', 10) || 0;
+  unsubscribe = subscribe(simulation, event => {
+    if (!event) return close();
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }, lastEventId);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -2,37 +2,46 @@ require('dotenv').config();
 const express = require('express');
 const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
+const { COST_PER_KM } = require('./src/optimizer');
+const { parseTravelOptions, validateOptimizeRequest, runOptimization } = require('./src/optimize');
+const { loadRoadGraph, distanceModel, travelBetween, travelMatrix } = require('./src/travel');
+const { loadTrafficProfile, trafficMultiplier, travelDuration } = require('./src/traffic');
+const driversRouter = require('./api/drivers');
+const simulationsRouter = require('./api/simulations');
+const plansRouter = require('./api/plans');
+const jobsRouter = require('./api/jobs');
+const {
+  GEOMETRY_FORMATS,
+  DEFAULT_GEOMETRY_FORMAT,
+  isKnownGeometryFormat,
+  formatGeometry,
+  buildLeg
+} = require('./src/geometry');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+const MATRIX_MAX_ELEMENTS = parseInt(process.env.MATRIX_MAX_ELEMENTS || '250000', 10);
 
 // Middleware
 app.use(morgan('dev'));
 app.use(express.json());
 
-// In-memory data stores (removed driver data as adapter handles this)
-
-// Helper functions
-function generateId() {
-  return uuidv4().split('-')[0].toUpperCase();
+// Optional road network for distances and ETAs; haversine is used without it.
+// A configured but unreadable graph stops startup rather than silently falling back.
+if (process.env.ROAD_GRAPH_FILE) {
+  const { nodes, edges } = loadRoadGraph(process.env.ROAD_GRAPH_FILE);
+  console.log(`[ROS] Road graph loaded from ${process.env.ROAD_GRAPH_FILE}: ${nodes} nodes, ${edges} edges`);
 }
 
-function calculateDistance(point1, point2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = toRad(point2.latitude - point1.latitude);
-  const dLon = toRad(point2.longitude - point1.longitude);
-  const lat1 = toRad(point1.latitude);
-  const lat2 = toRad(point2.latitude);
-
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.sin(dLon/2) * Math.sin(dLon/2) * Math.cos(lat1) * Math.cos(lat2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+// Time-of-day traffic profile and vehicle type speeds (config/traffic.json by default)
+const trafficProfile = loadTrafficProfile(process.env.TRAFFIC_PROFILE_FILE || undefined);
+console.log(`[ROS] Traffic profile loaded from ${trafficProfile.file} (vehicle types: ${trafficProfile.vehicleTypes.join(', ')})`);
 
-  return R * c;
-}
+// In-memory data stores: drivers live in src/drivers.js
 
-function toRad(degrees) {
-  return degrees * (Math.PI/180);
+// Helper functions
+function generateId() {
+  return uuidv4().split('-')[0].toUpperCase();
 }
 
 function simulateProcessingDelay() {
@@ -42,11 +51,6 @@ function simulateProcessingDelay() {
   });
 }
 
-function calculateETA(distance) {
-  // Estimate: 30 km/h average speed in city, converted to seconds
-  return Math.round(distance * 120); // seconds
-}
-
 // Add ETA calculation endpoint for adapter compatibility
 app.post('/api/ros/eta', async (req, res) => {
   try {
@@ -61,23 +65,46 @@ app.post('/api/ros/eta', async (req, res) => {
       });
     }
 
-    const distance = calculateDistance(
-      { latitude: origin.coordinates.lat, longitude: origin.coordinates.lng },
-      { latitude: destination.coordinates.lat, longitude: destination.coordinates.lng }
-    );
+    const geometryFormat = options.geometry_format || DEFAULT_GEOMETRY_FORMAT;
+    if (!isKnownGeometryFormat(geometryFormat)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown geometry_format "${geometryFormat}". Supported: ${GEOMETRY_FORMATS.join(', ')}`
+      });
+    }
 
-    const duration = calculateETA(distance);
-    const cost = Math.round(distance * 2.5 * 100) / 100; // $2.50 per km
+    const { departure, traffic, vehicleType, error } = parseTravelOptions(options);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    const from = { latitude: origin.coordinates.lat, longitude: origin.coordinates.lng };
+    const to = { latitude: destination.coordinates.lat, longitude: destination.coordinates.lng };
+    const travel = travelBetween(from, to);
+    const distance = travel.distance;
+
+    const duration = travelDuration(travel.duration, departure, { traffic, vehicleType });
+    const cost = Math.round(distance * COST_PER_KM * 100) / 100;
+    const leg = buildLeg(from, to, duration, travel.vertices);
 
     const response = {
       status: 'success',
       distance: Math.round(distance * 100) / 100,
       duration: duration,
       cost: cost,
-      route_geometry: null, // Mock geometry
-      traffic_considered: options.traffic || false,
-      vehicle_type: options.vehicle_type || 'car',
-      departure_time: options.departure_time || new Date().toISOString(),
+      route_geometry: formatGeometry(leg.points, geometryFormat),
+      geometry_format: geometryFormat,
+      instructions: leg.instructions,
+      distance_model: travel.model,
+      base_duration: travel.duration,
+      traffic_considered: traffic,
+      traffic_multiplier: traffic ? Math.round(trafficMultiplier(departure) * 100) / 100 : 1,
+      vehicle_type: vehicleType,
+      departure_time: new Date(departure).toISOString(),
+      arrival_time: new Date(departure + duration * 1000).toISOString(),
       timestamp: new Date().toISOString()
     };
 
@@ -93,6 +120,89 @@ app.post('/api/ros/eta', async (req, res) => {
   }
 });
 
+// Distance/duration/cost matrix endpoint, same travel model as /optimize
+app.post('/api/ros/matrix', async (req, res) => {
+  try {
+    await simulateProcessingDelay();
+
+    const { sources = [], options = {} } = req.body;
+    const destinations = req.body.destinations || sources;
+
+    if (!sources.length || !destinations.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required fields: sources array (destinations defaults to sources)'
+      });
+    }
+
+    for (const [name, points] of [['Source', sources], ['Destination', destinations]]) {
+      for (let i = 0; i < points.length; i++) {
+        if (typeof points[i].coordinates?.lat !== 'number' || typeof points[i].coordinates?.lng !== 'number') {
+          return res.status(400).json({
+            status: 'error',
+            message: `${name} ${points[i].id || i} missing coordinates (lat/lng)`
+          });
+        }
+      }
+    }
+
+    if (sources.length * destinations.length > MATRIX_MAX_ELEMENTS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Matrix of ${sources.length}x${destinations.length} exceeds the limit of ${MATRIX_MAX_ELEMENTS} elements`
+      });
+    }
+
+    const { departure, traffic, vehicleType, error } = parseTravelOptions(options);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    const toMatrixPoint = (point) => ({ latitude: point.coordinates.lat, longitude: point.coordinates.lng });
+    const sourcePoints = sources.map(toMatrixPoint);
+    const matrix = req.body.destinations
+      ? travelMatrix(sourcePoints, destinations.map(toMatrixPoint))
+      : travelMatrix(sourcePoints);
+
+    const distances = [];
+    const durations = [];
+    const costs = [];
+    for (let i = 0; i < sources.length; i++) {
+      distances.push(Array.from(matrix.distance[i], d => Math.round(d * 100) / 100));
+      durations.push(Array.from(matrix.duration[i], d => travelDuration(d, departure, { traffic, vehicleType })));
+      costs.push(Array.from(matrix.distance[i], d => Math.round(d * COST_PER_KM * 100) / 100));
+    }
+
+    const response = {
+      status: 'success',
+      sources: sources.map((point, i) => point.id ?? i),
+      destinations: destinations.map((point, i) => point.id ?? i),
+      distances,
+      durations,
+      costs,
+      units: { distance: 'km', duration: 's', cost: 'USD' },
+      distance_model: distanceModel().type,
+      traffic_considered: traffic,
+      vehicle_type: vehicleType,
+      departure_time: new Date(departure).toISOString(),
+      timestamp: new Date().toISOString()
+    };
+
+    console.log(`[ROS] Matrix calculated: ${sources.length}x${destinations.length}`);
+    res.json(response);
+
+  } catch (error) {
+    console.error('[ROS] Matrix calculation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during matrix calculation'
+    });
+  }
+});
+
 // API Endpoints
 
 // Health check endpoint
@@ -102,10 +212,33 @@ app.get('/health', (req, res) => {
     service: 'ros-mock-server',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    distance_model: distanceModel(),
     endpoints: [
       'GET /health',
       'POST /optimize',
-      'POST /api/ros/eta'
+      'POST /optimize/jobs',
+      'GET /optimize/jobs',
+      'GET /optimize/jobs/:jobId',
+      'POST /optimize/jobs/:jobId/cancel',
+      'POST /api/ros/eta',
+      'POST /api/ros/matrix',
+      'GET /api/ros/drivers',
+      'POST /api/ros/drivers',
+      'GET /api/ros/drivers/:driverId',
+      'PATCH /api/ros/drivers/:driverId',
+      'DELETE /api/ros/drivers/:driverId',
+      'POST /api/ros/drivers/:driverId/location',
+      'GET /api/ros/drivers/:driverId/location',
+      'POST /api/ros/drivers/:driverId/reset',
+      'POST /api/ros/assign-driver',
+      'GET /api/ros/simulations',
+      'GET /api/ros/simulations/:simulationId',
+      'GET /api/ros/simulations/:simulationId/events',
+      'POST /api/ros/simulations/:simulationId/stop',
+      'GET /api/ros/plans/:planId',
+      'POST /api/ros/plans/:planId/stops',
+      'POST /api/ros/plans/:planId/stops/:stopId/cancel',
+      'POST /api/ros/plans/:planId/vehicles/:vehicleId/breakdown'
     ]
   });
 });
@@ -115,125 +248,27 @@ app.post('/optimize', async (req, res) => {
   try {
     await simulateProcessingDelay();
 
-    const { 
-      optimization_profile = 'balanced',
-      locations = [], 
-      vehicles = [],
-      options = {}
-    } = req.body;
-
-    if (!locations.length || !vehicles.length) {
+    const { request, error: invalid } = validateOptimizeRequest(req.body);
+    if (invalid) {
       return res.status(400).json({
         status: 'error',
-        message: 'Missing required fields: locations and vehicles arrays'
+        message: invalid
       });
     }
 
-    // Validate that all locations have coordinates
-    for (let i = 0; i < locations.length; i++) {
-      if (!locations[i].coordinates?.lat || !locations[i].coordinates?.lng) {
-        return res.status(400).json({
-          status: 'error',
-          message: `Location ${locations[i].id || i} missing coordinates (lat/lng)`
-        });
-      }
-    }
-
-    // Validate that all vehicles have start_location
-    for (let i = 0; i < vehicles.length; i++) {
-      if (!vehicles[i].start_location?.lat || !vehicles[i].start_location?.lng) {
-        return res.status(400).json({
-          status: 'error',
-          message: `Vehicle ${vehicles[i].id || i} missing start_location (lat/lng)`
-        });
-      }
-    }
-
-    // Simple mock optimization: create sequential routes
-    const routes = vehicles.map((vehicle, index) => {
-      const vehicleStops = locations.filter((_, i) => i % vehicles.length === index);
-
-      if (!vehicle.start_location) {
-        throw new Error(`Vehicle ${vehicle.id || index} missing start_location`);
-      }
-
-      let currentLocation = vehicle.start_location;
-      let totalDistance = 0;
-      let totalDuration = 0;
-
-      const steps = vehicleStops.map((stop, stepIndex) => {
-        if (!stop.coordinates) {
-          throw new Error(`Stop ${stop.id || stepIndex} missing coordinates`);
-        }
-
-        const stopCoords = { 
-          latitude: stop.coordinates.lat, 
-          longitude: stop.coordinates.lng 
-        };
-        
-        const currentCoords = { 
-          latitude: currentLocation.lat || currentLocation.latitude, 
-          longitude: currentLocation.lng || currentLocation.longitude 
-        };
-
-        const distance = calculateDistance(currentCoords, stopCoords);
-        const duration = calculateETA(distance);
-
-        totalDistance += distance;
-        totalDuration += duration;
-
-        const now = new Date();
-        const arrival = new Date(now.getTime() + totalDuration * 1000);
-        const departure = new Date(arrival.getTime() + (stop.service_time || 300) * 1000);
-
-        currentLocation = { lat: stopCoords.latitude, lng: stopCoords.longitude };
-
-        return {
-          id: stop.id || `stop-${stepIndex}`,
-          type: stop.type || (stepIndex === 0 ? 'pickup' : 'delivery'),
-          location: {
-            address: stop.address || `Stop ${stepIndex + 1}`,
-            coordinates: {
-              lat: stopCoords.latitude,
-              lng: stopCoords.longitude
-            }
-          },
-          arrival: arrival.toISOString(),
-          departure: departure.toISOString(),
-          distance: Math.round(distance * 100) / 100,
-          duration: duration,
-          description: `${stop.type || 'Stop'} at ${stop.address || 'location'}`
-        };
+    const { response, error } = runOptimization(request);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
       });
+    }
 
-      return {
-        vehicle_id: vehicle.id || `vehicle-${index + 1}`,
-        distance: Math.round(totalDistance * 100) / 100,
-        duration: totalDuration,
-        cost: Math.round(totalDistance * 2.5 * 100) / 100, // $2.50 per km
-        steps
-      };
-    });
-
-    const totalDistance = routes.reduce((sum, route) => sum + route.distance, 0);
-    const totalDuration = routes.reduce((sum, route) => sum + route.duration, 0);
-    const totalCost = routes.reduce((sum, route) => sum + route.cost, 0);
-
-    const response = {
+    res.json({
       status: 'success',
-      summary: {
-        total_distance: Math.round(totalDistance * 100) / 100,
-        total_time: totalDuration,
-        total_cost: Math.round(totalCost * 100) / 100
-      },
-      routes,
-      unassigned: [],
-      optimization_time: Date.now(),
+      ...response,
       timestamp: new Date().toISOString()
-    };
-
-    console.log(`[ROS] Route optimization completed for ${vehicles.length} vehicles, ${locations.length} locations`);
-    res.json(response);
+    });
 
   } catch (error) {
     console.error('[ROS] Route optimization error:', error);
@@ -244,6 +279,18 @@ app.post('/optimize', async (req, res) => {
   }
 });
 
+// Asynchronous optimization jobs
+app.use('/optimize', jobsRouter);
+
+// Driver registry, assignment and location tracking
+app.use('/api/ros', driversRouter);
+
+// Simulated route driving started by /optimize
+app.use('/api/ros', simulationsRouter);
+
+// Stored /optimize results and in-flight re-optimization
+app.use('/api/ros', plansRouter);
+
 // Error handling middleware
 app.use((req, res) => {
   res.status(404).json({
@@ -252,7 +299,29 @@ app.use((req, res) => {
     availableEndpoints: [
       'GET /health',
       'POST /optimize',
-      'POST /api/ros/eta'
+      'POST /optimize/jobs',
+      'GET /optimize/jobs',
+      'GET /optimize/jobs/:jobId',
+      'POST /optimize/jobs/:jobId/cancel',
+      'POST /api/ros/eta',
+      'POST /api/ros/matrix',
+      'GET /api/ros/drivers',
+      'POST /api/ros/drivers',
+      'GET /api/ros/drivers/:driverId',
+      'PATCH /api/ros/drivers/:driverId',
+      'DELETE /api/ros/drivers/:driverId',
+      'POST /api/ros/drivers/:driverId/location',
+      'GET /api/ros/drivers/:driverId/location',
+      'POST /api/ros/drivers/:driverId/reset',
+      'POST /api/ros/assign-driver',
+      'GET /api/ros/simulations',
+      'GET /api/ros/simulations/:simulationId',
+      'GET /api/ros/simulations/:simulationId/events',
+      'POST /api/ros/simulations/:simulationId/stop',
+      'GET /api/ros/plans/:planId',
+      'POST /api/ros/plans/:planId/stops',
+      'POST /api/ros/plans/:planId/stops/:stopId/cancel',
+      'POST /api/ros/plans/:planId/vehicles/:vehicleId/breakdown'
     ]
   });
 });
@@ -270,7 +339,12 @@ app.listen(PORT, () => {
   console.log(`[ROS MOCK SERVER] Running on http://localhost:${PORT}`);
   console.log(`[ROS MOCK SERVER] Health check: GET /health`);
   console.log(`[ROS MOCK SERVER] Route optimization: POST /optimize`);
+  console.log(`[ROS MOCK SERVER] Async optimization jobs: POST /optimize/jobs, GET /optimize/jobs/:jobId`);
   console.log(`[ROS MOCK SERVER] ETA calculation: POST /api/ros/eta`);
+  console.log(`[ROS MOCK SERVER] Distance matrix: POST /api/ros/matrix`);
+  console.log(`[ROS MOCK SERVER] Drivers: /api/ros/drivers, POST /api/ros/assign-driver`);
+  console.log(`[ROS MOCK SERVER] Route plans: /api/ros/plans/:planId (insert, cancel, breakdown)`);
+  console.log(`[ROS MOCK SERVER] Simulations: /api/ros/simulations (SSE at /:simulationId/events)`);
   console.log(`[ROS MOCK SERVER] Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
@@ -0,0 +1,217 @@
+// In-memory driver registry with availability and location tracking
+//
+// A driver can be assigned only while "available". Assignment moves the driver
+// to "on-trip" with the order attached; releasing (or resetting) makes the
+// driver available again. "on-break" and "offline" drivers are never assigned.
+const { v4: uuidv4 } = require('uuid');
+const { calculateDistance, toPoint } = require('./geo');
+const { isKnownVehicleType, vehicleTypes, DEFAULT_VEHICLE_TYPE } = require('./traffic');
+
+const DRIVER_STATUSES = ['available', 'on-trip', 'on-break', 'offline'];
+const DEFAULT_DRIVER_CAPACITY = parseInt(process.env.DEFAULT_DRIVER_CAPACITY || '100', 10);
+const LOCATION_HISTORY_LIMIT = 100;
+
+const SEED_DRIVERS = [
+  { id: 'driver-001', name: 'John Smith', vehicle: 'van-001', vehicleType: 'van', contact: '+1-555-1234', skills: ['fragile', 'heavy'], currentLocation: { latitude: 40.7128, longitude: -74.0060 } },
+  { id: 'driver-002', name: 'Maria Garcia', vehicle: 'car-002', vehicleType: 'car', contact: '+1-555-2345', skills: ['fragile'], currentLocation: { latitude: 40.7589, longitude: -73.9851 } },
+  { id: 'driver-003', name: 'David Chen', vehicle: 'truck-003', vehicleType: 'truck', contact: '+1-555-3456', skills: ['heavy', 'refrigerated'], maxCapacity: 500, currentLocation: { latitude: 40.6782, longitude: -73.9442 } },
+  { id: 'driver-004', name: 'Aisha Khan', vehicle: 'bike-004', vehicleType: 'bike', contact: '+1-555-4567', skills: [], maxCapacity: 20, currentLocation: { latitude: 40.7306, longitude: -73.9866 } }
+];
+
+const drivers = new Map();
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function isValidPoint(point) {
+  return point &&
+    typeof point.latitude === 'number' && point.latitude >= -90 && point.latitude <= 90 &&
+    typeof point.longitude === 'number' && point.longitude >= -180 && point.longitude <= 180;
+}
+
+// Check the mutable fields of a create/update body; returns an error message or null
+function validateDriverFields(input) {
+  if (input.name !== undefined && (typeof input.name !== 'string' || !input.name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  if (input.status !== undefined && !DRIVER_STATUSES.includes(input.status)) {
+    return `status must be one of: ${DRIVER_STATUSES.join(', ')}`;
+  }
+  if (input.vehicleType !== undefined && !isKnownVehicleType(input.vehicleType)) {
+    return `vehicleType must be one of: ${vehicleTypes().join(', ')}`;
+  }
+  if (input.maxCapacity !== undefined && !(typeof input.maxCapacity === 'number' && input.maxCapacity >= 0)) {
+    return 'maxCapacity must be a non-negative number';
+  }
+  if (input.skills !== undefined && !(Array.isArray(input.skills) && input.skills.every(s => typeof s === 'string'))) {
+    return 'skills must be an array of strings';
+  }
+  if (input.currentLocation !== undefined && !isValidPoint(toPoint(input.currentLocation))) {
+    return 'currentLocation must have latitude/longitude in range';
+  }
+  return null;
+}
+
+function pickFields(input) {
+  const fields = {};
+  for (const key of ['name', 'vehicle', 'vehicleType', 'contact', 'maxCapacity', 'skills', 'status']) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  if (input.currentLocation !== undefined) fields.currentLocation = toPoint(input.currentLocation);
+  return fields;
+}
+
+function createDriver(input) {
+  const invalid = validateDriverFields(input);
+  if (invalid) return { error: invalid, status: 400 };
+  if (!input.name) return { error: 'name is required', status: 400 };
+  if (input.status === 'on-trip') return { error: 'Drivers go on-trip through assignment, not at creation', status: 400 };
+
+  const id = input.id || 'driver-' + uuidv4().split('-')[0];
+  if (drivers.has(id)) return { error: `Driver ${id} already exists`, status: 409 };
+
+  const timestamp = nowISO();
+  const driver = {
+    id,
+    name: input.name,
+    status: 'available',
+    currentLocation: null,
+    vehicle: null,
+    vehicleType: DEFAULT_VEHICLE_TYPE,
+    maxCapacity: DEFAULT_DRIVER_CAPACITY,
+    skills: [],
+    contact: null,
+    currentOrder: null,
+    lastLocationUpdate: null,
+    locationHistory: [],
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    ...pickFields(input)
+  };
+  if (driver.currentLocation) recordLocation(driver, driver.currentLocation, {});
+  drivers.set(id, driver);
+  return { driver };
+}
+
+function updateDriver(id, input) {
+  const driver = drivers.get(id);
+  if (!driver) return { error: `Driver ${id} not found`, status: 404 };
+
+  const invalid = validateDriverFields(input);
+  if (invalid) return { error: invalid, status: 400 };
+  if (input.status && input.status !== 'on-trip' && driver.currentOrder) {
+    return { error: `Driver ${id} is on order ${driver.currentOrder}; reset the driver to end the trip`, status: 409 };
+  }
+  if (input.status === 'on-trip' && !driver.currentOrder) {
+    return { error: 'Drivers go on-trip through assignment, not a status update', status: 409 };
+  }
+
+  const fields = pickFields(input);
+  Object.assign(driver, fields, { updatedAt: nowISO() });
+  if (fields.currentLocation) recordLocation(driver, fields.currentLocation, {});
+  return { driver };
+}
+
+function deleteDriver(id) {
+  const driver = drivers.get(id);
+  if (!driver) return { error: `Driver ${id} not found`, status: 404 };
+  if (driver.status === 'on-trip') {
+    return { error: `Driver ${id} is on order ${driver.currentOrder} and cannot be removed`, status: 409 };
+  }
+  drivers.delete(id);
+  return { driver };
+}
+
+function getDriver(id) {
+  return drivers.get(id) || null;
+}
+
+function listDrivers({ status } = {}) {
+  const all = Array.from(drivers.values());
+  return status ? all.filter(d => d.status === status) : all;
+}
+
+function recordLocation(driver, point, { heading, speed }) {
+  const timestamp = nowISO();
+  driver.currentLocation = point;
+  driver.lastLocationUpdate = timestamp;
+  driver.locationHistory.push({ ...point, heading: heading ?? null, speed: speed ?? null, timestamp });
+  if (driver.locationHistory.length > LOCATION_HISTORY_LIMIT) driver.locationHistory.shift();
+}
+
+/**
+ * Record a driver's position.
+ * @param {string} id
+ * @param {object} body - { latitude, longitude } or { lat, lng }, with optional heading (deg) and speed (km/h)
+ */
+function updateLocation(id, body) {
+  const driver = drivers.get(id);
+  if (!driver) return { error: `Driver ${id} not found`, status: 404 };
+
+  const point = toPoint(body || {});
+  if (!isValidPoint(point)) {
+    return { error: 'latitude and longitude must be numbers in range', status: 400 };
+  }
+  recordLocation(driver, point, body);
+  return { driver };
+}
+
+/**
+ * Nearest available driver to a point that satisfies the order's requirements.
+ * @param {{ latitude: number, longitude: number }} point
+ * @param {object} [requirements] - { capacity, skills, vehicleType }
+ * @returns {{ driver: object, distance: number } | null} distance in km
+ */
+function findNearestAvailable(point, { capacity = 0, skills = [], vehicleType } = {}) {
+  let best = null;
+  for (const driver of drivers.values()) {
+    if (driver.status !== 'available' || !driver.currentLocation) continue;
+    if (driver.maxCapacity < capacity) continue;
+    if (!skills.every(skill => driver.skills.includes(skill))) continue;
+    if (vehicleType && driver.vehicleType !== vehicleType) continue;
+
+    const distance = calculateDistance(driver.currentLocation, point);
+    if (!best || distance < best.distance) best = { driver, distance };
+  }
+  return best;
+}
+
+function assignDriver(id, orderId) {
+  const driver = drivers.get(id);
+  driver.status = 'on-trip';
+  driver.currentOrder = orderId;
+  driver.updatedAt = nowISO();
+  return driver;
+}
+
+function resetDriver(id) {
+  const driver = drivers.get(id);
+  if (!driver) return { error: `Driver ${id} not found`, status: 404 };
+  driver.status = 'available';
+  driver.currentOrder = null;
+  driver.updatedAt = nowISO();
+  return { driver };
+}
+
+function seedDrivers() {
+  drivers.clear();
+  SEED_DRIVERS.forEach(seed => createDriver(seed));
+}
+
+seedDrivers();
+
+module.exports = {
+  DRIVER_STATUSES,
+  isValidPoint,
+  createDriver,
+  updateDriver,
+  deleteDriver,
+  getDriver,
+  listDrivers,
+  updateLocation,
+  findNearestAvailable,
+  assignDriver,
+  resetDriver,
+  seedDrivers
+};
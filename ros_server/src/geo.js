@@ -0,0 +1,64 @@
+// Geographic helpers shared by the optimizer and the HTTP endpoints
+
+// Driving speed assumed for great-circle ETAs
+const AVERAGE_SPEED_KMH = parseFloat(process.env.AVERAGE_SPEED_KMH) > 0 ? parseFloat(process.env.AVERAGE_SPEED_KMH) : 30;
+
+function toRad(degrees) {
+  return degrees * (Math.PI/180);
+}
+
+// Great-circle distance in km between two { latitude, longitude } points
+function calculateDistance(point1, point2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = toRad(point2.latitude - point1.latitude);
+  const dLon = toRad(point2.longitude - point1.longitude);
+  const lat1 = toRad(point1.latitude);
+  const lat2 = toRad(point2.latitude);
+
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.sin(dLon/2) * Math.sin(dLon/2) * Math.cos(lat1) * Math.cos(lat2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+  return R * c;
+}
+
+// Initial compass bearing in degrees (0 = north, clockwise) from point1 to point2
+function calculateBearing(point1, point2) {
+  const lat1 = toRad(point1.latitude);
+  const lat2 = toRad(point2.latitude);
+  const dLon = toRad(point2.longitude - point1.longitude);
+
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Point a fraction of the way from point1 to point2; linear is fine at city scale
+function interpolate(point1, point2, fraction) {
+  return {
+    latitude: point1.latitude + (point2.latitude - point1.latitude) * fraction,
+    longitude: point1.longitude + (point2.longitude - point1.longitude) * fraction
+  };
+}
+
+// Seconds to drive `distance` km at AVERAGE_SPEED_KMH (default 30 km/h in the city)
+function calculateETA(distance) {
+  return Math.round(distance / AVERAGE_SPEED_KMH * 3600);
+}
+
+// Accepts either the adapter's { lat, lng } shape or { latitude, longitude }
+function toPoint(location) {
+  return {
+    latitude: location.lat ?? location.latitude,
+    longitude: location.lng ?? location.longitude
+  };
+}
+
+module.exports = {
+  toRad,
+  calculateDistance,
+  calculateBearing,
+  interpolate,
+  calculateETA,
+  toPoint
+};
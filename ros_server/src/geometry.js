@@ -0,0 +1,247 @@
+// Route geometry and turn-by-turn instructions for /optimize and /api/ros/eta
+//
+// Legs routed over the road graph follow the graph path. Without road data a
+// leg is drawn as a short staircase of street-like segments between its
+// endpoints. Either way the path is densified with intermediate points so it
+// renders on a map, and its corners become the turns.
+const { calculateDistance, calculateBearing, interpolate } = require('./geo');
+
+const GEOMETRY_FORMATS = ['polyline', 'geojson', 'none'];
+const DEFAULT_GEOMETRY_FORMAT = 'polyline';
+const POINT_SPACING_KM = 0.1;
+const MAX_POINTS_PER_SEGMENT = 50;
+const KM_PER_BLOCK = 1.5;
+const MAX_BLOCKS = 4;
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+function isKnownGeometryFormat(format) {
+  return GEOMETRY_FORMATS.includes(format);
+}
+
+// Google encoded polyline algorithm, lat/lng order
+function encodePolyline(points, precision = 5) {
+  const factor = Math.pow(10, precision);
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const point of points) {
+    const lat = Math.round(point.latitude * factor);
+    const lng = Math.round(point.longitude * factor);
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+  return encoded;
+}
+
+function toLineString(points) {
+  const round = (value) => Math.round(value * 1e6) / 1e6;
+  return {
+    type: 'LineString',
+    coordinates: points.map(p => [round(p.longitude), round(p.latitude)])
+  };
+}
+
+function formatGeometry(points, format = DEFAULT_GEOMETRY_FORMAT) {
+  if (format === 'none' || points.length < 2) return null;
+  return format === 'geojson' ? toLineString(points) : encodePolyline(points);
+}
+
+// Corner points of a plausible street path: alternate moves along the longer
+// and shorter axis, one block per KM_PER_BLOCK of straight-line distance
+function gridPath(from, to) {
+  const distance = calculateDistance(from, to);
+  if (distance < 0.05) return [from, to];
+
+  const blocks = Math.min(MAX_BLOCKS, Math.max(1, Math.round(distance / KM_PER_BLOCK)));
+  const dLat = (to.latitude - from.latitude) / blocks;
+  const dLng = (to.longitude - from.longitude) / blocks;
+  const latFirst = Math.abs(dLat) >= Math.abs(dLng * Math.cos(from.latitude * Math.PI / 180));
+
+  const vertices = [from];
+  let current = from;
+  for (let i = 0; i < blocks; i++) {
+    const corner = latFirst
+      ? { latitude: current.latitude + dLat, longitude: current.longitude }
+      : { latitude: current.latitude, longitude: current.longitude + dLng };
+    const end = { latitude: current.latitude + dLat, longitude: current.longitude + dLng };
+    vertices.push(corner, end);
+    current = end;
+  }
+  vertices[vertices.length - 1] = to;
+  return simplify(vertices);
+}
+
+// Drop zero-length segments and merge collinear ones so every vertex is a real turn
+function simplify(vertices) {
+  const result = [vertices[0]];
+  for (let i = 1; i < vertices.length; i++) {
+    const point = vertices[i];
+    if (calculateDistance(result[result.length - 1], point) < 0.001) continue;
+    if (result.length >= 2) {
+      const a = result[result.length - 2];
+      const b = result[result.length - 1];
+      if (Math.abs(turnAngle(calculateBearing(a, b), calculateBearing(b, point))) < 1) {
+        result[result.length - 1] = point;
+        continue;
+      }
+    }
+    result.push(point);
+  }
+  if (result.length === 1) result.push(vertices[vertices.length - 1]);
+  return result;
+}
+
+// Road paths keep every vertex (they carry road names) but not repeated points,
+// which happen where an origin or destination sits on a node
+function dropDuplicates(vertices) {
+  const result = [vertices[0]];
+  for (let i = 1; i < vertices.length; i++) {
+    const last = result[result.length - 1];
+    if (calculateDistance(last, vertices[i]) >= 0.001) {
+      result.push(vertices[i]);
+    } else if (vertices[i].name) {
+      // the road leaving the repeated point is the one that counts
+      result[result.length - 1] = { ...last, name: vertices[i].name };
+    }
+  }
+  if (result.length === 1) result.push(vertices[vertices.length - 1]);
+  return result;
+}
+
+// Intermediate points roughly every POINT_SPACING_KM along each segment
+function densify(vertices) {
+  const points = [vertices[0]];
+  for (let i = 1; i < vertices.length; i++) {
+    const from = vertices[i - 1];
+    const to = vertices[i];
+    const count = Math.min(MAX_POINTS_PER_SEGMENT, Math.max(1, Math.ceil(calculateDistance(from, to) / POINT_SPACING_KM)));
+    for (let k = 1; k <= count; k++) {
+      points.push(interpolate(from, to, k / count));
+    }
+  }
+  return points;
+}
+
+// Signed change of heading in degrees, positive when turning right
+function turnAngle(bearingIn, bearingOut) {
+  return ((bearingOut - bearingIn + 540) % 360) - 180;
+}
+
+function compass(bearing) {
+  return COMPASS[Math.round(bearing / 45) % 8];
+}
+
+function turnModifier(angle) {
+  const side = angle > 0 ? 'right' : 'left';
+  const magnitude = Math.abs(angle);
+  if (magnitude < 20) return 'straight';
+  if (magnitude < 45) return `slight ${side}`;
+  if (magnitude > 135) return `sharp ${side}`;
+  return side;
+}
+
+function toLatLng(point) {
+  return { lat: point.latitude, lng: point.longitude };
+}
+
+function onto(name) {
+  return name ? ` onto ${name}` : '';
+}
+
+// Depart, a turn wherever the heading changes or the road name does, then
+// arrive. Distance (m) and duration (s) cover the stretch that follows the
+// instruction; straight segments on the same road are folded together.
+function buildInstructions(vertices, travelTime) {
+  const segments = [];
+  for (let i = 1; i < vertices.length; i++) {
+    segments.push(calculateDistance(vertices[i - 1], vertices[i]));
+  }
+  const total = segments.reduce((sum, d) => sum + d, 0) || 1;
+
+  const instructions = [];
+  let current = null;
+  for (let i = 0; i < segments.length; i++) {
+    const bearing = calculateBearing(vertices[i], vertices[i + 1]);
+    const name = vertices[i].name || null;
+    const modifier = i === 0 ? null : turnModifier(turnAngle(calculateBearing(vertices[i - 1], vertices[i]), bearing));
+
+    if (current && modifier === 'straight' && name === (vertices[i - 1].name || null)) {
+      current.distance += segments[i];
+      continue;
+    }
+
+    const base = { distance: segments[i], location: toLatLng(vertices[i]) };
+    if (name) base.name = name;
+
+    if (i === 0) {
+      current = { type: 'depart', modifier: compass(bearing), instruction: `Head ${compass(bearing)}${onto(name)}`, ...base };
+    } else if (modifier === 'straight') {
+      current = { type: 'continue', modifier, instruction: `Continue straight${onto(name)}`, ...base };
+    } else {
+      current = { type: 'turn', modifier, instruction: `Turn ${modifier}${onto(name)}`, ...base };
+    }
+    instructions.push(current);
+  }
+
+  for (const instruction of instructions) {
+    instruction.duration = Math.round(travelTime * instruction.distance / total);
+    instruction.distance = Math.round(instruction.distance * 1000);
+  }
+
+  instructions.push({
+    type: 'arrive',
+    instruction: 'Arrive at destination',
+    distance: 0,
+    duration: 0,
+    location: toLatLng(vertices[vertices.length - 1])
+  });
+  return instructions;
+}
+
+/**
+ * Geometry and instructions for one leg.
+ *
+ * @param {{ latitude: number, longitude: number }} from
+ * @param {{ latitude: number, longitude: number }} to
+ * @param {number} travelTime - seconds, spread over the instructions by distance
+ * @param {Array|null} [roadVertices] - road graph path from travelBetween(), if any
+ * @returns {{ points: Array<{ latitude: number, longitude: number }>, instructions: Array }}
+ */
+function buildLeg(from, to, travelTime, roadVertices = null) {
+  const vertices = roadVertices ? dropDuplicates(roadVertices) : gridPath(from, to);
+  return {
+    points: densify(vertices),
+    instructions: buildInstructions(vertices, travelTime)
+  };
+}
+
+// Concatenate leg point lists without repeating the shared endpoints
+function joinLegs(legPoints) {
+  const points = [];
+  for (const leg of legPoints) {
+    points.push(...(points.length ? leg.slice(1) : leg));
+  }
+  return points;
+}
+
+module.exports = {
+  GEOMETRY_FORMATS,
+  DEFAULT_GEOMETRY_FORMAT,
+  isKnownGeometryFormat,
+  encodePolyline,
+  formatGeometry,
+  buildLeg,
+  joinLegs
+};
@@ -1 +0,0 @@
-//hi
\ No newline at end of file
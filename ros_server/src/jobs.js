@@ -0,0 +1,196 @@
+// Asynchronous optimization jobs
+//
+// Jobs wait in a FIFO queue and run OPTIMIZE_JOB_CONCURRENCY at a time. A
+// running job takes a simulated processing time (random within the configured
+// range, or options.processing_time_ms) before it is solved, so clients can
+// watch it move through queued -> running -> completed | failed, or cancel it
+// on the way. When a job finishes, its callback URL (if any) receives the job
+// as JSON, with retries and exponential backoff.
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const CONCURRENCY = parseInt(process.env.OPTIMIZE_JOB_CONCURRENCY || '1', 10);
+const MIN_PROCESSING_MS = parseInt(process.env.OPTIMIZE_JOB_MIN_MS || '1000', 10);
+const MAX_PROCESSING_MS = parseInt(process.env.OPTIMIZE_JOB_MAX_MS || '3000', 10);
+const JOB_LIMIT = parseInt(process.env.OPTIMIZE_JOB_LIMIT || '200', 10);
+const CALLBACK_ATTEMPTS = 3;
+const CALLBACK_BACKOFF_MS = 1000;
+const CALLBACK_TIMEOUT_MS = 5000;
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+// Finished jobs beyond the limit are dropped, oldest first
+function store(job) {
+  jobs.set(job.id, job);
+  if (jobs.size <= JOB_LIMIT) return;
+  for (const [id, candidate] of jobs) {
+    if (jobs.size <= JOB_LIMIT) break;
+    if (isFinished(candidate)) jobs.delete(id);
+  }
+}
+
+function processingTime(requested) {
+  if (requested != null) return requested;
+  return MIN_PROCESSING_MS + Math.floor(Math.random() * Math.max(0, MAX_PROCESSING_MS - MIN_PROCESSING_MS));
+}
+
+// Public shape of a job, as returned by the API and posted to callbacks
+function toJobView(job) {
+  const view = {
+    id: job.id,
+    status: job.status,
+    created_at: job.createdAt,
+    started_at: job.startedAt,
+    finished_at: job.finishedAt,
+    status_url: `/optimize/jobs/${job.id}`
+  };
+  if (job.status === 'queued') view.queue_position = queue.indexOf(job) + 1;
+  if (job.result) view.result = job.result;
+  if (job.error) view.error = job.error;
+  if (job.callback) {
+    const { url, status, attempts, lastError, deliveredAt } = job.callback;
+    view.callback = { url, status, attempts, last_error: lastError, delivered_at: deliveredAt };
+  }
+  return view;
+}
+
+async function deliverCallback(job) {
+  const callback = job.callback;
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    callback.attempts = attempt;
+    try {
+      const response = await fetch(callback.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-ROS-Job-Id': job.id },
+        body: JSON.stringify(toJobView(job)),
+        signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS)
+      });
+      if (response.ok) {
+        callback.status = 'delivered';
+        callback.deliveredAt = nowISO();
+        console.log(`[ROS] Job ${job.id} callback delivered to ${callback.url}`);
+        return;
+      }
+      callback.lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      callback.lastError = error.message;
+    }
+    if (attempt < CALLBACK_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, CALLBACK_BACKOFF_MS * 2 ** (attempt - 1)));
+    }
+  }
+  callback.status = 'failed';
+  console.log(`[ROS] Job ${job.id} callback to ${callback.url} failed: ${callback.lastError}`);
+}
+
+function finish(job, status, fields = {}) {
+  Object.assign(job, fields, { status, finishedAt: nowISO() });
+  clearTimeout(job.timer);
+  job.timer = null;
+  console.log(`[ROS] Job ${job.id} ${status}`);
+  if (job.callback) deliverCallback(job);
+}
+
+function pump() {
+  while (running < CONCURRENCY && queue.length) {
+    const job = queue.shift();
+    running++;
+    job.status = 'running';
+    job.startedAt = nowISO();
+    job.timer = setTimeout(() => execute(job), job.processingMs);
+  }
+}
+
+function execute(job) {
+  running--;
+  try {
+    if (job.failWith) {
+      finish(job, 'failed', { error: job.failWith });
+    } else {
+      const { response, error } = job.run();
+      if (error) {
+        finish(job, 'failed', { error });
+      } else {
+        finish(job, 'completed', { result: response });
+      }
+    }
+  } catch (error) {
+    console.error(`[ROS] Job ${job.id} error:`, error);
+    finish(job, 'failed', { error: 'Internal server error during route optimization' });
+  }
+  pump();
+}
+
+/**
+ * Queue an optimization.
+ *
+ * @param {object} params
+ * @param {function} params.run - does the work; returns { response } or { error }
+ * @param {string} [params.callbackUrl] - POSTed the job when it finishes
+ * @param {number} [params.processingMs] - simulated processing time, instead of a random one
+ * @param {string} [params.failWith] - make the job fail with this error once processed
+ * @returns {object} the job view
+ */
+function submitJob({ run, callbackUrl, processingMs, failWith }) {
+  const job = {
+    id: 'job-' + uuidv4().split('-')[0],
+    status: 'queued',
+    createdAt: nowISO(),
+    startedAt: null,
+    finishedAt: null,
+    run,
+    processingMs: processingTime(processingMs),
+    failWith: failWith || null,
+    result: null,
+    error: null,
+    callback: callbackUrl ? { url: callbackUrl, status: 'pending', attempts: 0, lastError: null, deliveredAt: null } : null,
+    timer: null
+  };
+  store(job);
+  queue.push(job);
+  pump();
+  return toJobView(job);
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toJobView(job) : null;
+}
+
+function listJobs({ status } = {}) {
+  const all = Array.from(jobs.values());
+  return (status ? all.filter(job => job.status === status) : all).map(toJobView);
+}
+
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return { error: `Job ${id} not found`, status: 404 };
+  if (isFinished(job)) return { error: `Job ${id} is already ${job.status}`, status: 409 };
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+  } else {
+    running--;
+  }
+  finish(job, 'cancelled');
+  pump();
+  return { job: toJobView(job) };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  submitJob,
+  getJob,
+  listJobs,
+  cancelJob
+};
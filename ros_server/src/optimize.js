@@ -0,0 +1,135 @@
+// POST /optimize request handling shared by the synchronous endpoint and async jobs
+//
+// validateOptimizeRequest() checks everything that can be checked up front, so
+// a bad request is rejected before it is queued; runOptimization() solves,
+// stores the plan and optionally starts a simulation.
+const { PROFILES, isKnownProfile } = require('./optimizer');
+const { createPlan } = require('./plans');
+const { getDriver } = require('./drivers');
+const { parseSimulationOptions, startSimulation } = require('./simulation');
+const { DEFAULT_VEHICLE_TYPE, vehicleTypes, isKnownVehicleType } = require('./traffic');
+const { GEOMETRY_FORMATS, DEFAULT_GEOMETRY_FORMAT, isKnownGeometryFormat } = require('./geometry');
+
+// Departure time, traffic flag and vehicle type shared by the ETA, matrix and optimize requests
+function parseTravelOptions(options) {
+  const departure = options.departure_time ? Date.parse(options.departure_time) : Date.now();
+  if (Number.isNaN(departure)) {
+    return { error: `Invalid departure_time "${options.departure_time}" (expected ISO 8601)` };
+  }
+
+  const vehicleType = options.vehicle_type || DEFAULT_VEHICLE_TYPE;
+  if (!isKnownVehicleType(vehicleType)) {
+    return { error: `Unknown vehicle_type "${vehicleType}". Supported: ${vehicleTypes().join(', ')}` };
+  }
+
+  return { departure, traffic: options.traffic === true, vehicleType };
+}
+
+/**
+ * Validate an /optimize request body.
+ * @param {object} body
+ * @returns {{ error: string } | { request: object }} request is the input for runOptimization()
+ */
+function validateOptimizeRequest(body) {
+  const {
+    optimization_profile = 'balanced',
+    locations = [],
+    vehicles = [],
+    options = {}
+  } = body;
+
+  if (!locations.length || !vehicles.length) {
+    return { error: 'Missing required fields: locations and vehicles arrays' };
+  }
+
+  // Validate that all locations have coordinates
+  for (let i = 0; i < locations.length; i++) {
+    if (!locations[i].coordinates?.lat || !locations[i].coordinates?.lng) {
+      return { error: `Location ${locations[i].id || i} missing coordinates (lat/lng)` };
+    }
+  }
+
+  // Validate that all vehicles have start_location
+  for (let i = 0; i < vehicles.length; i++) {
+    if (!vehicles[i].start_location?.lat || !vehicles[i].start_location?.lng) {
+      return { error: `Vehicle ${vehicles[i].id || i} missing start_location (lat/lng)` };
+    }
+  }
+
+  if (!isKnownProfile(optimization_profile)) {
+    return { error: `Unknown optimization_profile "${optimization_profile}". Supported: ${Object.keys(PROFILES).join(', ')}` };
+  }
+
+  const geometryFormat = options.geometry_format || DEFAULT_GEOMETRY_FORMAT;
+  if (!isKnownGeometryFormat(geometryFormat)) {
+    return { error: `Unknown geometry_format "${geometryFormat}". Supported: ${GEOMETRY_FORMATS.join(', ')}` };
+  }
+
+  const travelOptions = parseTravelOptions(options);
+  if (travelOptions.error) return { error: travelOptions.error };
+
+  const timeLimit = options.time_limit_ms;
+  if (timeLimit !== undefined && !(typeof timeLimit === 'number' && Number.isFinite(timeLimit) && timeLimit >= 0)) {
+    return { error: `Invalid time_limit_ms "${timeLimit}" (expected a non-negative number of milliseconds)` };
+  }
+
+  const simulationOptions = parseSimulationOptions(options.simulate);
+  if (simulationOptions.error) return { error: simulationOptions.error };
+
+  if (simulationOptions.settings) {
+    const unknownDriver = vehicles.find(v => v.driver_id != null && !getDriver(v.driver_id));
+    if (unknownDriver) {
+      return { error: `Vehicle ${unknownDriver.id || vehicles.indexOf(unknownDriver)} references unknown driver_id "${unknownDriver.driver_id}"` };
+    }
+  }
+
+  return {
+    request: {
+      locations,
+      vehicles,
+      profile: optimization_profile,
+      planStart: travelOptions.departure,
+      traffic: travelOptions.traffic,
+      vehicleType: travelOptions.vehicleType,
+      geometryFormat,
+      timeLimitMs: timeLimit,
+      simulation: simulationOptions.settings
+    }
+  };
+}
+
+/**
+ * Solve a validated request, store it as a route plan and start its simulation if asked.
+ * @param {object} request - from validateOptimizeRequest()
+ * @returns {{ error: string } | { plan: object, response: object }} response without the status envelope
+ */
+function runOptimization({ simulation: simulationSettings, ...params }) {
+  const { plan, error } = createPlan(params);
+  if (error) return { error };
+
+  const response = { ...plan.response };
+
+  // Optionally drive the routes in simulated time and stream positions over SSE
+  if (simulationSettings) {
+    const simulation = startSimulation({
+      routes: plan.simulatedRoutes,
+      planStart: plan.planStart,
+      ...simulationSettings
+    });
+    response.simulation = {
+      id: simulation.id,
+      status: simulation.status,
+      speed: simulation.speed,
+      events_url: `/api/ros/simulations/${simulation.id}/events`
+    };
+  }
+
+  console.log(`[ROS] Route optimization completed for ${params.vehicles.length} vehicles, ${params.locations.length} locations (${response.unassigned.length} unassigned), plan ${plan.id}`);
+  return { plan, response };
+}
+
+module.exports = {
+  parseTravelOptions,
+  validateOptimizeRequest,
+  runOptimization
+};
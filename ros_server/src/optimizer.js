@@ -0,0 +1,492 @@
+// Heuristic vehicle routing solver used by POST /optimize
+//
+// Handles capacitated routing with time windows, driver shift limits and
+// pickup/delivery pairs. Routes are built with a profile-aware nearest-neighbour
+// construction (falling back to cheapest insertion when no stop can be appended
+// feasibly) and then improved with 2-opt (segment reversal), or-opt (segment
+// relocation, also between vehicles) and pair relocation until no move improves
+// the objective or the time limit hits. Every candidate route is re-simulated,
+// so a move is only accepted when the whole route stays feasible.
+const { travelMatrix } = require('./travel');
+const { travelDuration } = require('./traffic');
+
+const COST_PER_KM = 2.5; // $2.50 per km
+const DEFAULT_SERVICE_TIME = 300; // seconds
+const DEFAULT_TIME_LIMIT_MS = parseInt(process.env.OPTIMIZER_TIME_LIMIT_MS || '1000', 10);
+const VEHICLE_DISPATCH_COST = parseFloat(process.env.VEHICLE_DISPATCH_COST || '15');
+const MAX_OR_OPT_SEGMENT = 3;
+const EPSILON = 1e-9;
+
+// Objective weights per optimization profile. Distance is weighted per km,
+// duration and makespan (the longest route) per hour, vehicles per route used.
+const PROFILES = {
+  // Finish all work as early as possible: spread stops across the fleet
+  fastest: { distance: 0, duration: 5, makespan: 60, vehicles: 0 },
+  // Minimise total kilometres driven regardless of how long any one route is
+  shortest: { distance: 1, duration: 0, makespan: 0, vehicles: 0 },
+  // Trade total kilometres against the longest route
+  balanced: { distance: 1, duration: 0, makespan: 30, vehicles: 0 },
+  // Minimise money: per-km cost plus a fixed cost for every vehicle dispatched
+  cheapest: { distance: COST_PER_KM, duration: 0, makespan: 0, vehicles: VEHICLE_DISPATCH_COST }
+};
+
+// Why a stop could not be routed, as reported in the response's unassigned list
+const UNASSIGNED_REASONS = {
+  capacity_exceeded: 'Demand exceeds the capacity of every vehicle',
+  time_window_unreachable: 'No vehicle can arrive within the stop time window',
+  shift_limit_exceeded: 'Serving the stop would exceed every driver shift limit',
+  no_feasible_route: 'No route has room left without breaking capacity, time window or shift constraints'
+};
+
+// Route simulation failures mapped onto the reasons above
+const VIOLATION_REASONS = {
+  capacity: 'capacity_exceeded',
+  time_window: 'time_window_unreachable',
+  shift: 'shift_limit_exceeded'
+};
+
+function isKnownProfile(profile) {
+  return Object.prototype.hasOwnProperty.call(PROFILES, profile);
+}
+
+function createContext({ vehicles, stops, dimensions, profile, planStart, traffic }) {
+  // Indexed vehicle starts first, then stops
+  const points = vehicles.map(v => v.start).concat(stops.map(s => s.point));
+  const { distance, duration } = travelMatrix(points);
+  return {
+    vehicles,
+    stops,
+    dimensions: dimensions.length,
+    weights: PROFILES[profile],
+    offset: vehicles.length,
+    planStart,
+    traffic,
+    distance,
+    duration,
+    // scratch space for precedence checks, reused across simulations
+    seen: new Int32Array(stops.length),
+    stamp: 0
+  };
+}
+
+// Stops whose load is on the vehicle from the start: deliveries without a pickup
+function isDepotLoaded(stop) {
+  return !stop.isPickup && stop.partner === null;
+}
+
+/**
+ * Drive a route and check it against every constraint.
+ *
+ * Returns { feasible: false, violation } on the first broken constraint, or the
+ * route's distance (km), duration (s, including waiting and service) and end
+ * time. With `withLegs` it also returns per-stop timing and load.
+ */
+function simulateRoute(ctx, vehicleIndex, seq, withLegs = false) {
+  const vehicle = ctx.vehicles[vehicleIndex];
+  const { stops, dimensions } = ctx;
+  const stamp = ++ctx.stamp;
+
+  const load = new Array(dimensions).fill(0);
+  for (const stopIndex of seq) {
+    if (isDepotLoaded(stops[stopIndex])) {
+      for (let d = 0; d < dimensions; d++) load[d] += stops[stopIndex].demand[d];
+    }
+  }
+  for (let d = 0; d < dimensions; d++) {
+    if (load[d] > vehicle.capacity[d] + EPSILON) return { feasible: false, violation: 'capacity' };
+  }
+
+  let node = vehicleIndex;
+  let clock = vehicle.startTime;
+  let distance = 0;
+  const legs = withLegs ? [] : null;
+
+  for (const stopIndex of seq) {
+    const stop = stops[stopIndex];
+    if (stop.vehicle != null && stop.vehicle !== vehicleIndex) {
+      return { feasible: false, violation: 'vehicle' };
+    }
+    if (!stop.isPickup && stop.partner !== null && ctx.seen[stop.partner] !== stamp) {
+      return { feasible: false, violation: 'precedence' };
+    }
+
+    const next = ctx.offset + stopIndex;
+    const legDistance = ctx.distance[node][next];
+    const travelTime = travelDuration(ctx.duration[node][next], ctx.planStart + clock * 1000, {
+      traffic: ctx.traffic,
+      vehicleType: vehicle.vehicleType
+    });
+    const arrival = clock + travelTime;
+
+    let serviceStart = arrival;
+    if (stop.window) {
+      if (arrival > stop.window.end) return { feasible: false, violation: 'time_window' };
+      serviceStart = Math.max(arrival, stop.window.start);
+    }
+    const departure = serviceStart + stop.serviceTime;
+
+    const sign = stop.isPickup ? 1 : -1;
+    for (let d = 0; d < dimensions; d++) {
+      load[d] += sign * stop.demand[d];
+      if (load[d] > vehicle.capacity[d] + EPSILON) return { feasible: false, violation: 'capacity' };
+    }
+
+    ctx.seen[stopIndex] = stamp;
+    distance += legDistance;
+    clock = departure;
+    node = next;
+
+    if (legs) {
+      legs.push({
+        stopIndex,
+        distance: legDistance,
+        travelTime,
+        arrival,
+        waitingTime: serviceStart - arrival,
+        departure,
+        load: load.slice()
+      });
+    }
+  }
+
+  // Pickups must be followed by their delivery on the same vehicle
+  for (const stopIndex of seq) {
+    const stop = stops[stopIndex];
+    if (stop.isPickup && stop.partner !== null && ctx.seen[stop.partner] !== stamp) {
+      return { feasible: false, violation: 'precedence' };
+    }
+  }
+
+  // A vehicle that serves nothing stays at its start, so even a shift already over is no violation
+  if (seq.length && (clock > vehicle.endTime || clock - vehicle.startTime > vehicle.maxDuration)) {
+    return { feasible: false, violation: 'shift' };
+  }
+
+  return {
+    feasible: true,
+    distance,
+    duration: seq.length ? clock - vehicle.startTime : 0,
+    end: clock,
+    used: seq.length > 0,
+    legs
+  };
+}
+
+function objective(ctx, metrics) {
+  const w = ctx.weights;
+  let distance = 0;
+  let duration = 0;
+  let makespan = 0;
+  let used = 0;
+  for (const m of metrics) {
+    distance += m.distance;
+    duration += m.duration;
+    if (m.duration > makespan) makespan = m.duration;
+    if (m.used) used++;
+  }
+  return w.distance * distance +
+    w.duration * duration / 3600 +
+    w.makespan * makespan / 3600 +
+    w.vehicles * used;
+}
+
+// Objective with some routes replaced, without mutating the current metrics
+function objectiveWith(ctx, metrics, replacements) {
+  const trial = metrics.slice();
+  for (const [routeIndex, m] of replacements) trial[routeIndex] = m;
+  return objective(ctx, trial);
+}
+
+// A job is the unit of assignment: a single stop, or a pickup and its delivery
+function buildJobs(stops) {
+  const jobs = [];
+  stops.forEach((stop, i) => {
+    if (stop.invalid) return;
+    if (stop.partner === null) {
+      jobs.push([i]);
+    } else if (stop.isPickup) {
+      jobs.push([i, stop.partner]);
+    }
+  });
+  return jobs;
+}
+
+// Every way of placing a job into a route, pickups always before deliveries.
+// With appendOnly the job goes to the end of the route.
+function* placements(seq, job, appendOnly) {
+  if (job.length === 1) {
+    const from = appendOnly ? seq.length : 0;
+    for (let i = from; i <= seq.length; i++) {
+      yield seq.slice(0, i).concat(job, seq.slice(i));
+    }
+    return;
+  }
+
+  const [pickup, delivery] = job;
+  const from = appendOnly ? seq.length : 0;
+  for (let i = from; i <= seq.length; i++) {
+    const withPickup = seq.slice(0, i).concat(pickup, seq.slice(i));
+    for (let j = appendOnly ? withPickup.length : i + 1; j <= withPickup.length; j++) {
+      yield withPickup.slice(0, j).concat(delivery, withPickup.slice(j));
+    }
+  }
+}
+
+// Cheapest feasible placement of a job over all vehicles, or null
+function bestPlacement(ctx, state, job, appendOnly) {
+  let best = null;
+  for (let v = 0; v < state.routes.length; v++) {
+    for (const candidate of placements(state.routes[v], job, appendOnly)) {
+      const m = simulateRoute(ctx, v, candidate);
+      if (!m.feasible) continue;
+      const cost = objectiveWith(ctx, state.metrics, [[v, m]]);
+      if (!best || cost < best.cost - EPSILON) {
+        best = { cost, vehicleIndex: v, seq: candidate, metrics: m };
+      }
+    }
+  }
+  return best;
+}
+
+// Nearest-neighbour construction: repeatedly append the job/vehicle pair that
+// raises the profile objective the least. When nothing can be appended, insert
+// anywhere instead. A job that fits nowhere is set aside for good, since adding
+// stops to routes never makes room for it.
+function construct(ctx, jobs) {
+  const state = {
+    routes: ctx.vehicles.map(() => []),
+    metrics: ctx.vehicles.map(() => ({ distance: 0, duration: 0, used: false }))
+  };
+  const remaining = new Set(jobs);
+  const unrouted = [];
+
+  while (remaining.size) {
+    let best = null;
+    for (const job of remaining) {
+      const placement = bestPlacement(ctx, state, job, true);
+      if (placement && (!best || placement.cost < best.cost - EPSILON)) {
+        best = { ...placement, job };
+      }
+    }
+
+    if (!best) {
+      for (const job of Array.from(remaining)) {
+        const placement = bestPlacement(ctx, state, job, false);
+        if (!placement) {
+          remaining.delete(job);
+          unrouted.push(job);
+        } else if (!best || placement.cost < best.cost - EPSILON) {
+          best = { ...placement, job };
+        }
+      }
+      if (!best) break;
+    }
+
+    state.routes[best.vehicleIndex] = best.seq;
+    state.metrics[best.vehicleIndex] = best.metrics;
+    remaining.delete(best.job);
+  }
+
+  return { state, unrouted };
+}
+
+// Local search may have reshuffled routes enough to fit a job set aside earlier
+function insertUnrouted(ctx, state, unrouted) {
+  return unrouted.filter(job => {
+    const placement = bestPlacement(ctx, state, job, false);
+    if (!placement) return true;
+    state.routes[placement.vehicleIndex] = placement.seq;
+    state.metrics[placement.vehicleIndex] = placement.metrics;
+    return false;
+  });
+}
+
+// 2-opt: reverse a segment within one route
+function twoOptPass(ctx, state, current, deadline) {
+  for (let v = 0; v < state.routes.length; v++) {
+    const seq = state.routes[v];
+    for (let i = 0; i < seq.length - 1; i++) {
+      for (let j = i + 1; j < seq.length; j++) {
+        if (Date.now() > deadline) return current;
+        const candidate = seq.slice(0, i).concat(seq.slice(i, j + 1).reverse(), seq.slice(j + 1));
+        const m = simulateRoute(ctx, v, candidate);
+        if (!m.feasible) continue;
+        const cost = objectiveWith(ctx, state.metrics, [[v, m]]);
+        if (cost < current - EPSILON) {
+          state.routes[v] = candidate;
+          state.metrics[v] = m;
+          return cost;
+        }
+      }
+    }
+  }
+  return current;
+}
+
+// Try a move that rewrites one or two routes; apply it when it is feasible and improving
+function tryMove(ctx, state, current, changes) {
+  const replacements = [];
+  for (const [routeIndex, seq] of changes) {
+    const m = simulateRoute(ctx, routeIndex, seq);
+    if (!m.feasible) return current;
+    replacements.push([routeIndex, m]);
+  }
+  const cost = objectiveWith(ctx, state.metrics, replacements);
+  if (cost >= current - EPSILON) return current;
+
+  changes.forEach(([routeIndex, seq], i) => {
+    state.routes[routeIndex] = seq;
+    state.metrics[routeIndex] = replacements[i][1];
+  });
+  return cost;
+}
+
+// Or-opt: move a run of up to MAX_OR_OPT_SEGMENT stops to another position,
+// in the same route or in another vehicle's route
+function orOptPass(ctx, state, current, deadline) {
+  const { routes } = state;
+  for (let from = 0; from < routes.length; from++) {
+    for (let len = 1; len <= MAX_OR_OPT_SEGMENT; len++) {
+      for (let i = 0; i + len <= routes[from].length; i++) {
+        const segment = routes[from].slice(i, i + len);
+        const source = routes[from].slice(0, i).concat(routes[from].slice(i + len));
+
+        for (let to = 0; to < routes.length; to++) {
+          const target = to === from ? source : routes[to];
+          for (let k = 0; k <= target.length; k++) {
+            if (to === from && k === i) continue; // same position
+            if (Date.now() > deadline) return current;
+
+            const inserted = target.slice(0, k).concat(segment, target.slice(k));
+            const changes = to === from ? [[from, inserted]] : [[from, source], [to, inserted]];
+            const cost = tryMove(ctx, state, current, changes);
+            if (cost < current) return cost;
+          }
+        }
+      }
+    }
+  }
+  return current;
+}
+
+// Pair relocation: move a pickup and its delivery together, possibly to
+// another vehicle, since or-opt cannot split a pair across routes
+function pairRelocatePass(ctx, state, current, deadline) {
+  const { routes } = state;
+  for (let from = 0; from < routes.length; from++) {
+    for (const pickup of routes[from]) {
+      const stop = ctx.stops[pickup];
+      if (!stop.isPickup || stop.partner === null) continue;
+
+      const job = [pickup, stop.partner];
+      const source = routes[from].filter(s => s !== pickup && s !== stop.partner);
+      for (let to = 0; to < routes.length; to++) {
+        const target = to === from ? source : routes[to];
+        for (const inserted of placements(target, job, false)) {
+          if (Date.now() > deadline) return current;
+          const changes = to === from ? [[from, inserted]] : [[from, source], [to, inserted]];
+          const cost = tryMove(ctx, state, current, changes);
+          if (cost < current) return cost;
+        }
+      }
+    }
+  }
+  return current;
+}
+
+function improve(ctx, state, deadline) {
+  let current = objective(ctx, state.metrics);
+  let iterations = 0;
+  while (Date.now() <= deadline) {
+    let next = twoOptPass(ctx, state, current, deadline);
+    next = orOptPass(ctx, state, next, deadline);
+    next = pairRelocatePass(ctx, state, next, deadline);
+    if (next >= current - EPSILON) break;
+    current = next;
+    iterations++;
+  }
+  return { cost: current, iterations };
+}
+
+// Explain an unroutable job: if it fails on its own in every vehicle the most
+// common violation is the reason, otherwise the fleet simply ran out of room
+function diagnose(ctx, job) {
+  const counts = {};
+  for (let v = 0; v < ctx.vehicles.length; v++) {
+    const result = simulateRoute(ctx, v, job);
+    if (result.feasible) return 'no_feasible_route';
+    counts[result.violation] = (counts[result.violation] || 0) + 1;
+  }
+  const violation = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  return VIOLATION_REASONS[violation] || 'no_feasible_route';
+}
+
+/**
+ * Solve a vehicle routing problem built by buildProblem().
+ *
+ * @param {object} problem
+ * @param {Array} problem.vehicles - { id, vehicleType, start, startTime, endTime, maxDuration, capacity }
+ * @param {Array} problem.stops - { id, point, serviceTime, isPickup, demand, window, partner, invalid, vehicle }
+ *   where `vehicle` pins the stop to one vehicle index (load already on board)
+ * @param {string[]} problem.dimensions - names of the capacity dimensions
+ * @param {string} [problem.profile] - one of fastest, shortest, balanced, cheapest
+ * @param {number} [problem.timeLimitMs] - budget for the improvement phase
+ * @param {number} [problem.planStart] - epoch ms of offset 0, for time-of-day traffic
+ * @param {boolean} [problem.traffic] - apply the traffic profile to travel times
+ * @returns {{ routes: Array<{ vehicleIndex: number, stops: number[], legs: Array }>, unassigned: Array<{ stopIndex: number, reason: string, message: string }>, objective: number, iterations: number }}
+ *   each leg holds the stop index, leg distance (km), travel and waiting time (s),
+ *   arrival/departure in seconds after plan start and the load after the stop
+ */
+function solve({
+  vehicles,
+  stops,
+  dimensions = [],
+  profile = 'balanced',
+  timeLimitMs = DEFAULT_TIME_LIMIT_MS,
+  planStart = Date.now(),
+  traffic = false
+}) {
+  const ctx = createContext({
+    vehicles,
+    stops,
+    dimensions,
+    profile: isKnownProfile(profile) ? profile : 'balanced',
+    planStart,
+    traffic
+  });
+  const deadline = Date.now() + timeLimitMs;
+
+  const jobs = buildJobs(stops);
+  const constructed = construct(ctx, jobs);
+  const { state } = constructed;
+  const { iterations } = improve(ctx, state, deadline);
+  const unrouted = insertUnrouted(ctx, state, constructed.unrouted);
+
+  const unassigned = [];
+  stops.forEach((stop, stopIndex) => {
+    if (stop.invalid) unassigned.push({ stopIndex, ...stop.invalid });
+  });
+  for (const job of unrouted) {
+    const reason = diagnose(ctx, job);
+    for (const stopIndex of job) {
+      unassigned.push({ stopIndex, reason, message: UNASSIGNED_REASONS[reason] });
+    }
+  }
+  unassigned.sort((a, b) => a.stopIndex - b.stopIndex);
+
+  const routes = state.routes.map((seq, vehicleIndex) => ({
+    vehicleIndex,
+    stops: seq,
+    legs: simulateRoute(ctx, vehicleIndex, seq, true).legs
+  }));
+
+  return { routes, unassigned, objective: objective(ctx, state.metrics), iterations };
+}
+
+module.exports = {
+  COST_PER_KM,
+  DEFAULT_SERVICE_TIME,
+  PROFILES,
+  isKnownProfile,
+  solve
+};
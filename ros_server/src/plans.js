@@ -0,0 +1,338 @@
+// Route plans: stored optimization results that can be re-optimized in flight
+//
+// Every /optimize result is kept under a plan ID. Inserting stops, cancelling a
+// stop or taking a vehicle out of service re-solves only what is still open:
+// steps a vehicle has reached by the replan time (`as_of`) stay fixed, each
+// vehicle restarts from the last stop it reached, and load already on board
+// (picked up, or loaded at the depot once the vehicle is under way) stays on
+// that vehicle. Load on a broken-down vehicle cannot be delivered and is
+// reported as unassigned, in that replan and every later one.
+const { v4: uuidv4 } = require('uuid');
+const { solve } = require('./optimizer');
+const { buildProblem } = require('./problem');
+const { distanceModel } = require('./travel');
+const { stopLabel, vehicleLabel, formatSolution } = require('./solution');
+
+const ROUTE_PLAN_LIMIT = parseInt(process.env.ROUTE_PLAN_LIMIT || '100', 10);
+const ALGORITHM = 'nearest-neighbour+2-opt+or-opt+pair-relocate';
+const BREAKDOWN = { reason: 'vehicle_breakdown', message: 'Load is on board a vehicle that broke down' };
+
+const plans = new Map();
+
+// Oldest plans are dropped once the limit is reached
+function store(plan) {
+  plans.set(plan.id, plan);
+  if (plans.size > ROUTE_PLAN_LIMIT) plans.delete(plans.keys().next().value);
+}
+
+// Legs are stored with loads keyed by dimension, since inserted stops can add dimensions
+function toStoredLeg(leg, dimensions) {
+  return { ...leg, load: Object.fromEntries(dimensions.map((dimension, d) => [dimension, leg.load[d]])) };
+}
+
+function toSolverLeg(leg, dimensions) {
+  return { ...leg, load: dimensions.map(dimension => leg.load[dimension] || 0) };
+}
+
+// Offset in seconds after the plan start
+function toOffset(plan, epochMs) {
+  return (epochMs - plan.planStart) / 1000;
+}
+
+// Leading legs of a route the vehicle has reached by `asOf` (or that an earlier replan fixed)
+function reachedLegs(route, asOf) {
+  const legs = [];
+  for (const leg of route.legs) {
+    if (!leg.fixed && leg.arrival > asOf) break;
+    legs.push(leg);
+  }
+  return legs;
+}
+
+function reachedStops(plan, asOf) {
+  return new Set(plan.routes.flatMap(route => reachedLegs(route, asOf).map(leg => leg.stopIndex)));
+}
+
+// Ids from the URL are strings; plans may use numeric ids
+function findStop(plan, stopId) {
+  return plan.locations.findIndex((location, i) => String(stopLabel(plan.locations, i)) === stopId);
+}
+
+// The other half of a pickup/delivery pair, or -1
+function partnerOf(locations, index) {
+  const location = locations[index];
+  if (location.pickup_id != null) {
+    return locations.findIndex(other => other.id === location.pickup_id && other.type === 'pickup');
+  }
+  if (location.type === 'pickup' && location.id != null) {
+    return locations.findIndex(other => other.pickup_id === location.id);
+  }
+  return -1;
+}
+
+// Record a solution as the plan's new version and render its response
+function commit(plan, { locations, cancelled, broken, lostStops, problem, routes, unassigned, iterations, startedAt, change }) {
+  Object.assign(plan, { locations, cancelled, broken, lostStops });
+  plan.routes = routes.map(({ vehicleIndex, legs }) => ({
+    vehicleIndex,
+    legs: legs.map(leg => toStoredLeg(leg, problem.dimensions))
+  }));
+  plan.unassigned = unassigned;
+  plan.version++;
+  plan.updatedAt = new Date().toISOString();
+  plan.history.push({ version: plan.version, ...change, at: plan.updatedAt });
+
+  const formatted = formatSolution({
+    locations,
+    vehicles: plan.vehicles,
+    problem,
+    routes: routes.map(route => ({ ...route, status: broken.has(route.vehicleIndex) ? 'broken_down' : 'active' })),
+    unassigned,
+    planStart: plan.planStart,
+    geometryFormat: plan.geometryFormat
+  });
+  plan.simulatedRoutes = formatted.simulatedRoutes;
+  plan.response = {
+    plan_id: plan.id,
+    version: plan.version,
+    summary: formatted.summary,
+    routes: formatted.routes,
+    unassigned: formatted.unassigned,
+    cancelled: Array.from(cancelled, stopIndex => stopLabel(locations, stopIndex)),
+    optimization_profile: plan.profile,
+    departure_time: new Date(plan.planStart).toISOString(),
+    traffic_considered: plan.traffic,
+    geometry_format: plan.geometryFormat,
+    distance_model: distanceModel().type,
+    algorithm: ALGORITHM,
+    iterations,
+    optimization_time: Date.now() - startedAt,
+    changes: plan.history
+  };
+}
+
+/**
+ * Solve a request from scratch and store it as a new plan.
+ *
+ * @param {object} params
+ * @param {Array} params.locations - request locations
+ * @param {Array} params.vehicles - request vehicles
+ * @param {string} params.profile - optimization profile
+ * @param {number} params.planStart - epoch ms of the departure time
+ * @param {boolean} params.traffic - apply time-of-day traffic
+ * @param {string} params.vehicleType - default vehicle type
+ * @param {string} params.geometryFormat
+ * @param {number} [params.timeLimitMs] - solver improvement budget, reused for replans
+ * @returns {{ error: string } | { plan: object }}
+ */
+function createPlan({ locations, vehicles, profile, planStart, traffic, vehicleType, geometryFormat, timeLimitMs }) {
+  const startedAt = Date.now();
+  const { problem, error } = buildProblem({ locations, vehicles, planStart, defaultVehicleType: vehicleType });
+  if (error) return { error };
+
+  const solution = solve({ ...problem, profile, timeLimitMs, planStart, traffic });
+  const plan = {
+    id: 'plan-' + uuidv4().split('-')[0],
+    version: 0,
+    createdAt: new Date().toISOString(),
+    profile,
+    planStart,
+    traffic,
+    vehicleType,
+    geometryFormat,
+    timeLimitMs,
+    vehicles,
+    history: []
+  };
+  commit(plan, {
+    locations,
+    cancelled: new Set(),
+    broken: new Set(),
+    lostStops: new Set(),
+    problem,
+    routes: solution.routes,
+    unassigned: solution.unassigned,
+    iterations: solution.iterations,
+    startedAt,
+    change: { action: 'created' }
+  });
+  store(plan);
+  return { plan };
+}
+
+// Re-solve the open part of a plan with the proposed locations, cancellations and
+// broken vehicles; the plan only changes when the result is committed
+function reoptimize(plan, { locations = plan.locations, cancelled = plan.cancelled, broken = plan.broken, asOf, change }) {
+  const startedAt = Date.now();
+  const { problem, error } = buildProblem({
+    locations,
+    vehicles: plan.vehicles,
+    planStart: plan.planStart,
+    defaultVehicleType: plan.vehicleType
+  });
+  if (error) return { error, status: 400 };
+
+  const { dimensions } = problem;
+  const asOfOffset = toOffset(plan, asOf);
+  const fixedLegs = plan.routes.map(route => reachedLegs(route, asOfOffset));
+  const reached = new Set(fixedLegs.flat().map(leg => leg.stopIndex));
+
+  // Deliveries whose load is already on a vehicle that is under way
+  const onBoard = new Map();
+  plan.routes.forEach((route, v) => {
+    if (!fixedLegs[v].length) return;
+    for (const leg of route.legs.slice(fixedLegs[v].length)) {
+      const stop = problem.stops[leg.stopIndex];
+      if (!stop.isPickup && (stop.partner === null || reached.has(stop.partner))) onBoard.set(leg.stopIndex, v);
+    }
+  });
+
+  // Each working vehicle restarts where and when it finishes its last reached stop
+  const vehicleMap = [];
+  const subVehicles = [];
+  problem.vehicles.forEach((vehicle, v) => {
+    if (broken.has(v)) return;
+    const last = fixedLegs[v][fixedLegs[v].length - 1];
+    const startTime = Math.max(last ? last.departure : vehicle.startTime, asOfOffset);
+    vehicleMap.push(v);
+    subVehicles.push({
+      ...vehicle,
+      start: last ? problem.stops[last.stopIndex].point : vehicle.start,
+      startTime,
+      maxDuration: Math.max(0, vehicle.maxDuration - (startTime - vehicle.startTime))
+    });
+  });
+
+  // Stops lost in an earlier breakdown are no longer on any route, so they are carried over
+  const stopMap = [];
+  const subIndex = new Map();
+  const lostStops = new Set();
+  problem.stops.forEach((stop, i) => {
+    if (reached.has(i) || cancelled.has(i)) return;
+    if (plan.lostStops.has(i) || (onBoard.has(i) && broken.has(onBoard.get(i)))) {
+      lostStops.add(i);
+      return;
+    }
+    subIndex.set(i, stopMap.length);
+    stopMap.push(i);
+  });
+  const subStops = stopMap.map(i => {
+    const stop = problem.stops[i];
+    if (onBoard.has(i)) return { ...stop, partner: null, vehicle: vehicleMap.indexOf(onBoard.get(i)) };
+    return { ...stop, partner: stop.partner === null ? null : subIndex.get(stop.partner) ?? null };
+  });
+
+  const solution = solve({
+    dimensions,
+    vehicles: subVehicles,
+    stops: subStops,
+    profile: plan.profile,
+    timeLimitMs: plan.timeLimitMs,
+    planStart: plan.planStart,
+    traffic: plan.traffic
+  });
+
+  const solved = new Map(solution.routes.map(route => [vehicleMap[route.vehicleIndex], route.legs]));
+  const routes = problem.vehicles.map((vehicle, v) => ({
+    vehicleIndex: v,
+    legs: fixedLegs[v]
+      .map(leg => ({ ...toSolverLeg(leg, dimensions), fixed: true }))
+      .concat((solved.get(v) || []).map(leg => ({ ...leg, stopIndex: stopMap[leg.stopIndex] })))
+  }));
+  const unassigned = solution.unassigned
+    .map(entry => ({ ...entry, stopIndex: stopMap[entry.stopIndex] }))
+    .concat(Array.from(lostStops, stopIndex => ({ stopIndex, ...BREAKDOWN })))
+    .sort((a, b) => a.stopIndex - b.stopIndex);
+
+  commit(plan, {
+    locations,
+    cancelled,
+    broken,
+    lostStops,
+    problem,
+    routes,
+    unassigned,
+    iterations: solution.iterations,
+    startedAt,
+    change: { ...change, as_of: new Date(asOf).toISOString() }
+  });
+  return { plan };
+}
+
+/**
+ * Add stops to a plan and re-optimize.
+ * @param {object} plan
+ * @param {Array} newLocations - in the /optimize locations format
+ * @param {number} asOf - epoch ms of the replan
+ * @returns {{ error: string, status: number } | { plan: object }}
+ */
+function insertStops(plan, newLocations, asOf) {
+  const locations = plan.locations.concat(newLocations);
+  const labels = locations.map((location, i) => stopLabel(locations, i));
+  const duplicate = labels.find((label, i) => labels.indexOf(label) !== i);
+  if (duplicate) return { error: `Stop ${duplicate} already exists in plan ${plan.id}`, status: 409 };
+
+  return reoptimize(plan, {
+    locations,
+    asOf,
+    change: { action: 'insert_stops', stops: labels.slice(plan.locations.length) }
+  });
+}
+
+/**
+ * Cancel a stop that has not been reached yet, together with the other half of
+ * its pickup/delivery pair when that has not been reached either.
+ * @returns {{ error: string, status: number } | { plan: object }}
+ */
+function cancelStop(plan, stopId, asOf) {
+  const index = findStop(plan, stopId);
+  if (index === -1) return { error: `Stop ${stopId} not found in plan ${plan.id}`, status: 404 };
+  if (plan.cancelled.has(index)) return { error: `Stop ${stopId} is already cancelled`, status: 409 };
+
+  const reached = reachedStops(plan, toOffset(plan, asOf));
+  if (reached.has(index)) {
+    return { error: `Stop ${stopId} has already been reached and cannot be cancelled`, status: 409 };
+  }
+
+  const cancelled = new Set(plan.cancelled).add(index);
+  const partner = partnerOf(plan.locations, index);
+  if (partner !== -1 && !reached.has(partner)) cancelled.add(partner);
+
+  return reoptimize(plan, {
+    cancelled,
+    asOf,
+    change: {
+      action: 'cancel_stop',
+      stops: Array.from(cancelled).filter(i => !plan.cancelled.has(i)).map(i => stopLabel(plan.locations, i))
+    }
+  });
+}
+
+/**
+ * Take a vehicle out of service and hand its open work to the rest of the fleet.
+ * @returns {{ error: string, status: number } | { plan: object }}
+ */
+function breakdownVehicle(plan, vehicleId, asOf) {
+  const index = plan.vehicles.findIndex((vehicle, i) => String(vehicleLabel(plan.vehicles, i)) === vehicleId);
+  if (index === -1) return { error: `Vehicle ${vehicleId} not found in plan ${plan.id}`, status: 404 };
+  if (plan.broken.has(index)) return { error: `Vehicle ${vehicleId} is already broken down`, status: 409 };
+
+  return reoptimize(plan, {
+    broken: new Set(plan.broken).add(index),
+    asOf,
+    change: { action: 'vehicle_breakdown', vehicle: vehicleId }
+  });
+}
+
+function getPlan(id) {
+  return plans.get(id) || null;
+}
+
+module.exports = {
+  ALGORITHM,
+  createPlan,
+  getPlan,
+  insertStops,
+  cancelStop,
+  breakdownVehicle
+};
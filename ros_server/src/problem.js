@@ -0,0 +1,189 @@
+// Translates the /optimize request body into the solver's problem shape
+//
+// Times are converted to seconds relative to the plan start, capacities and
+// demands to arrays over the dimensions named anywhere in the request (a plain
+// number is the "units" dimension). A vehicle that does not declare a
+// dimension is unlimited in it.
+const { toPoint } = require('./geo');
+const { DEFAULT_SERVICE_TIME } = require('./optimizer');
+const { isKnownVehicleType, vehicleTypes } = require('./traffic');
+
+const DEFAULT_DIMENSION = 'units';
+
+function collectDimensions(values) {
+  const dimensions = new Set();
+  for (const value of values) {
+    if (value == null) continue;
+    if (typeof value === 'number') {
+      dimensions.add(DEFAULT_DIMENSION);
+    } else if (typeof value === 'object') {
+      Object.keys(value).forEach(key => dimensions.add(key));
+    }
+  }
+  return Array.from(dimensions);
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Returns an array ordered like `dimensions`, using `fallback` for missing keys,
+// or null when a value is not a non-negative number
+function toQuantity(value, dimensions, fallback) {
+  if (value == null) return dimensions.map(() => fallback);
+  const byKey = typeof value === 'number' ? { [DEFAULT_DIMENSION]: value } : value;
+  if (typeof byKey !== 'object') return null;
+
+  const quantity = [];
+  for (const dimension of dimensions) {
+    if (byKey[dimension] == null) {
+      quantity.push(fallback);
+    } else if (isNonNegativeNumber(byKey[dimension])) {
+      quantity.push(byKey[dimension]);
+    } else {
+      return null;
+    }
+  }
+  return quantity;
+}
+
+// ISO timestamp -> seconds after planStart (negative when before it)
+function toOffset(value, planStart) {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? NaN : (ms - planStart) / 1000;
+}
+
+function parseWindow(window, planStart) {
+  const start = window.start != null ? toOffset(window.start, planStart) : -Infinity;
+  const end = window.end != null ? toOffset(window.end, planStart) : Infinity;
+  if (Number.isNaN(start) || Number.isNaN(end) || end < start) return null;
+  return { start, end };
+}
+
+/**
+ * Build the solver input from the request's locations and vehicles.
+ *
+ * @param {object} params
+ * @param {Array} params.locations - request locations (coordinates, service_time, demand, time_window, type, pickup_id)
+ * @param {Array} params.vehicles - request vehicles (start_location, capacity, shift, max_shift_duration, vehicle_type)
+ * @param {number} params.planStart - epoch ms that offset 0 refers to
+ * @param {string} params.defaultVehicleType - for vehicles without vehicle_type
+ * @returns {{ error: string } | { problem: { dimensions: string[], vehicles: Array, stops: Array } }}
+ */
+function buildProblem({ locations, vehicles, planStart, defaultVehicleType }) {
+  const dimensions = collectDimensions(
+    vehicles.map(v => v.capacity).concat(locations.map(l => l.demand))
+  );
+
+  const builtVehicles = [];
+  for (let i = 0; i < vehicles.length; i++) {
+    const vehicle = vehicles[i];
+    const label = vehicle.id || i;
+
+    const capacity = toQuantity(vehicle.capacity, dimensions, Infinity);
+    if (!capacity) {
+      return { error: `Vehicle ${label} has an invalid capacity (expected non-negative numbers)` };
+    }
+
+    let shift = { start: 0, end: Infinity };
+    if (vehicle.shift) {
+      shift = parseWindow(vehicle.shift, planStart);
+      if (!shift) {
+        return { error: `Vehicle ${label} has an invalid shift (expected ISO start/end with end after start)` };
+      }
+    }
+
+    const maxDuration = vehicle.max_shift_duration ?? Infinity;
+    if (!isNonNegativeNumber(maxDuration) && maxDuration !== Infinity) {
+      return { error: `Vehicle ${label} has an invalid max_shift_duration (expected seconds)` };
+    }
+
+    const vehicleType = vehicle.vehicle_type || defaultVehicleType;
+    if (!isKnownVehicleType(vehicleType)) {
+      return { error: `Vehicle ${label} has unknown vehicle_type "${vehicleType}". Supported: ${vehicleTypes().join(', ')}` };
+    }
+
+    builtVehicles.push({
+      id: vehicle.id,
+      vehicleType,
+      start: toPoint(vehicle.start_location),
+      startTime: Math.max(0, shift.start),
+      endTime: shift.end,
+      maxDuration,
+      capacity
+    });
+  }
+
+  const indexById = new Map();
+  locations.forEach((location, i) => {
+    if (location.id != null) indexById.set(location.id, i);
+  });
+
+  const stops = [];
+  for (let i = 0; i < locations.length; i++) {
+    const location = locations[i];
+    const label = location.id || i;
+
+    const demand = toQuantity(location.demand, dimensions, 0);
+    if (!demand) {
+      return { error: `Location ${label} has an invalid demand (expected non-negative numbers)` };
+    }
+
+    let window = null;
+    if (location.time_window) {
+      window = parseWindow(location.time_window, planStart);
+      if (!window) {
+        return { error: `Location ${label} has an invalid time_window (expected ISO start/end with end after start)` };
+      }
+    }
+
+    const serviceTime = location.service_time ?? DEFAULT_SERVICE_TIME;
+    if (!isNonNegativeNumber(serviceTime)) {
+      return { error: `Location ${label} has an invalid service_time (expected seconds)` };
+    }
+
+    stops.push({
+      id: location.id,
+      point: toPoint(location.coordinates),
+      serviceTime,
+      isPickup: location.type === 'pickup',
+      demand,
+      window,
+      partner: null,
+      invalid: null,
+      vehicle: null
+    });
+  }
+
+  // Pair deliveries with the pickup they name; each pickup serves one delivery
+  for (let i = 0; i < locations.length; i++) {
+    const pickupId = locations[i].pickup_id;
+    if (pickupId == null) continue;
+
+    const label = locations[i].id || i;
+    if (stops[i].isPickup) {
+      return { error: `Location ${label} is a pickup and cannot reference pickup_id` };
+    }
+
+    const pickupIndex = indexById.get(pickupId);
+    if (pickupIndex === undefined) {
+      stops[i].invalid = { reason: 'pickup_not_found', message: `Paired pickup "${pickupId}" not found in locations` };
+      continue;
+    }
+    if (!stops[pickupIndex].isPickup) {
+      return { error: `Location ${label} references pickup_id "${pickupId}" which is not of type pickup` };
+    }
+    if (stops[pickupIndex].partner !== null) {
+      return { error: `Pickup "${pickupId}" is referenced by more than one delivery` };
+    }
+
+    stops[pickupIndex].partner = i;
+    stops[i].partner = pickupIndex;
+  }
+
+  return { problem: { dimensions, vehicles: builtVehicles, stops } };
+}
+
+module.exports = {
+  buildProblem
+};
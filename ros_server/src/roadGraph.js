@@ -0,0 +1,298 @@
+// Local road network: parsing, snapping points to nodes and fastest paths
+//
+// Two file shapes are accepted:
+//   - JSON: { nodes: [{ id, lat, lng }], edges: [{ from, to, speed_kmh, oneway, name }] }
+//   - GeoJSON FeatureCollection of LineString/MultiLineString features, e.g. an
+//     OSM extract, with optional speed_kmh/maxspeed/highway/oneway/name properties
+// Paths minimise travel time using each edge's speed limit.
+const { calculateDistance } = require('./geo');
+
+const DEFAULT_SPEED_KMH = 30;
+const CELL_DEGREES = 0.01; // ~1.1 km grid for the snapping index
+
+// Fallback speed limits by OSM highway class (km/h)
+const HIGHWAY_SPEEDS = {
+  motorway: 100,
+  motorway_link: 60,
+  trunk: 80,
+  trunk_link: 50,
+  primary: 60,
+  primary_link: 40,
+  secondary: 50,
+  secondary_link: 40,
+  tertiary: 40,
+  tertiary_link: 30,
+  unclassified: 30,
+  residential: 30,
+  living_street: 10,
+  service: 15
+};
+
+// Binary min-heap keyed by priority, used by Dijkstra and A*
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// OSM maxspeed values look like "50", "30 mph" or "signals"
+function parseSpeed(properties = {}) {
+  const explicit = properties.speed_kmh ?? properties.maxspeed;
+  if (typeof explicit === 'number' && explicit > 0) return explicit;
+  if (typeof explicit === 'string') {
+    const match = explicit.match(/^\s*(\d+(?:\.\d+)?)\s*(mph)?/i);
+    if (match) return parseFloat(match[1]) * (match[2] ? 1.609 : 1);
+  }
+  return HIGHWAY_SPEEDS[properties.highway] || DEFAULT_SPEED_KMH;
+}
+
+// 1 = forward only, -1 = reverse only, 0 = both ways
+function parseOneway(value) {
+  if (value === true || value === 'yes' || value === '1' || value === 1) return 1;
+  if (value === '-1' || value === -1) return -1;
+  return 0;
+}
+
+function createGraph() {
+  return {
+    lat: [],
+    lng: [],
+    adjacency: [],
+    edgeCount: 0,
+    maxSpeed: 0,
+    cells: new Map()
+  };
+}
+
+function addNode(graph, latitude, longitude) {
+  const index = graph.lat.length;
+  graph.lat.push(latitude);
+  graph.lng.push(longitude);
+  graph.adjacency.push([]);
+
+  const key = cellKey(Math.floor(latitude / CELL_DEGREES), Math.floor(longitude / CELL_DEGREES));
+  if (!graph.cells.has(key)) graph.cells.set(key, []);
+  graph.cells.get(key).push(index);
+  return index;
+}
+
+function addEdge(graph, from, to, { speed, oneway, name }) {
+  const distance = calculateDistance(nodePoint(graph, from), nodePoint(graph, to));
+  const duration = distance / speed * 3600;
+  if (oneway >= 0) graph.adjacency[from].push({ to, distance, duration, name });
+  if (oneway <= 0) graph.adjacency[to].push({ to: from, distance, duration, name });
+  graph.edgeCount++;
+  graph.maxSpeed = Math.max(graph.maxSpeed, speed);
+}
+
+function cellKey(row, col) {
+  return `${row}:${col}`;
+}
+
+function nodePoint(graph, index) {
+  return { latitude: graph.lat[index], longitude: graph.lng[index] };
+}
+
+function fromNodesAndEdges(data) {
+  const graph = createGraph();
+  const indexById = new Map();
+  for (const node of data.nodes) {
+    if (typeof node.lat !== 'number' || typeof node.lng !== 'number') {
+      throw new Error(`Road graph node ${node.id} is missing numeric lat/lng`);
+    }
+    indexById.set(node.id, addNode(graph, node.lat, node.lng));
+  }
+  for (const edge of data.edges || []) {
+    const from = indexById.get(edge.from);
+    const to = indexById.get(edge.to);
+    if (from === undefined || to === undefined) {
+      throw new Error(`Road graph edge ${edge.from} -> ${edge.to} references an unknown node`);
+    }
+    addEdge(graph, from, to, { speed: parseSpeed(edge), oneway: parseOneway(edge.oneway), name: edge.name || null });
+  }
+  return graph;
+}
+
+function fromGeoJSON(data) {
+  const graph = createGraph();
+  const indexByCoordinate = new Map();
+  const nodeAt = ([lng, lat]) => {
+    const key = `${lat.toFixed(7)},${lng.toFixed(7)}`;
+    if (!indexByCoordinate.has(key)) indexByCoordinate.set(key, addNode(graph, lat, lng));
+    return indexByCoordinate.get(key);
+  };
+
+  for (const feature of data.features) {
+    const geometry = feature.geometry || {};
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates
+      : [];
+    const properties = feature.properties || {};
+    const options = { speed: parseSpeed(properties), oneway: parseOneway(properties.oneway), name: properties.name || null };
+
+    for (const line of lines) {
+      for (let i = 1; i < line.length; i++) {
+        addEdge(graph, nodeAt(line[i - 1]), nodeAt(line[i]), options);
+      }
+    }
+  }
+  return graph;
+}
+
+/**
+ * Build a road graph from parsed file contents.
+ * @param {object} data - JSON nodes/edges document or GeoJSON FeatureCollection
+ * @returns {object} graph for nearestNode/fastestPath/fastestTimes
+ */
+function parseRoadGraph(data) {
+  let graph;
+  if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    graph = fromGeoJSON(data);
+  } else if (data && Array.isArray(data.nodes)) {
+    graph = fromNodesAndEdges(data);
+  } else {
+    throw new Error('Road graph must be a GeoJSON FeatureCollection or an object with nodes and edges arrays');
+  }
+  if (!graph.edgeCount) throw new Error('Road graph has no edges');
+  return graph;
+}
+
+// Closest node within maxKm of the point, searching outward ring by ring
+function nearestNode(graph, point, maxKm) {
+  const row = Math.floor(point.latitude / CELL_DEGREES);
+  const col = Math.floor(point.longitude / CELL_DEGREES);
+  const rings = Math.ceil(maxKm / (CELL_DEGREES * 111 * Math.cos(point.latitude * Math.PI / 180))) + 1;
+
+  let best = null;
+  for (let r = 0; r <= rings; r++) {
+    for (let dr = -r; dr <= r; dr++) {
+      for (let dc = -r; dc <= r; dc++) {
+        if (Math.max(Math.abs(dr), Math.abs(dc)) !== r) continue;
+        for (const index of graph.cells.get(cellKey(row + dr, col + dc)) || []) {
+          const distance = calculateDistance(point, nodePoint(graph, index));
+          if (distance <= maxKm && (!best || distance < best.distance)) best = { index, distance };
+        }
+      }
+    }
+    // Anything in a further ring is at least r cells away
+    if (best && best.distance < r * CELL_DEGREES * 111 * Math.cos(point.latitude * Math.PI / 180)) break;
+  }
+  return best;
+}
+
+/**
+ * A* fastest path between two nodes.
+ * @returns {{ distance: number, duration: number, vertices: Array } | null} km, seconds and
+ *   the path's points, each carrying the name of the road that leaves it
+ */
+function fastestPath(graph, source, target) {
+  const targetPoint = nodePoint(graph, target);
+  const heuristic = (index) => calculateDistance(nodePoint(graph, index), targetPoint) / graph.maxSpeed * 3600;
+
+  const time = new Map([[source, 0]]);
+  const previous = new Map();
+  const heap = new MinHeap();
+  heap.push(source, heuristic(source));
+
+  while (heap.size) {
+    const { value: node } = heap.pop();
+    if (node === target) break;
+    const nodeTime = time.get(node);
+    for (const edge of graph.adjacency[node]) {
+      const candidate = nodeTime + edge.duration;
+      if (candidate < (time.get(edge.to) ?? Infinity)) {
+        time.set(edge.to, candidate);
+        previous.set(edge.to, { node, edge });
+        heap.push(edge.to, candidate + heuristic(edge.to));
+      }
+    }
+  }
+  if (!time.has(target)) return null;
+
+  const vertices = [nodePoint(graph, target)];
+  let distance = 0;
+  for (let node = target; node !== source;) {
+    const { node: from, edge } = previous.get(node);
+    distance += edge.distance;
+    vertices.unshift({ ...nodePoint(graph, from), name: edge.name });
+    node = from;
+  }
+  return { distance, duration: time.get(target), vertices };
+}
+
+/**
+ * Dijkstra from one node to a set of target nodes.
+ * @returns {Map<number, { distance: number, duration: number }>} reachable targets only
+ */
+function fastestTimes(graph, source, targets) {
+  const pending = new Set(targets);
+  const found = new Map();
+  const time = new Map([[source, 0]]);
+  const distance = new Map([[source, 0]]);
+  const settled = new Set();
+  const heap = new MinHeap();
+  heap.push(source, 0);
+
+  while (heap.size && pending.size) {
+    const { value: node } = heap.pop();
+    if (settled.has(node)) continue;
+    settled.add(node);
+    if (pending.delete(node)) {
+      found.set(node, { distance: distance.get(node), duration: time.get(node) });
+    }
+    for (const edge of graph.adjacency[node]) {
+      const candidate = time.get(node) + edge.duration;
+      if (candidate < (time.get(edge.to) ?? Infinity)) {
+        time.set(edge.to, candidate);
+        distance.set(edge.to, distance.get(node) + edge.distance);
+        heap.push(edge.to, candidate);
+      }
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  parseRoadGraph,
+  nearestNode,
+  nodePoint,
+  fastestPath,
+  fastestTimes
+};
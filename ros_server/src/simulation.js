@@ -0,0 +1,332 @@
+// Simulated vehicles driving optimized routes
+//
+// A simulation replays each route on a clock that runs `speed` times faster
+// than real time, starting from the plan's departure time. Every tick moves
+// each vehicle along its leg geometry (evenly by distance over the leg's
+// travel time), reports its position and emits arrival/departure events for
+// the stops reached since the previous tick. Vehicles linked to a registered
+// driver also update that driver's location. Recent events are buffered so a
+// subscriber that reconnects can catch up.
+const { v4: uuidv4 } = require('uuid');
+const { calculateDistance, calculateBearing, interpolate } = require('./geo');
+const { getDriver, updateLocation } = require('./drivers');
+
+const DEFAULT_SPEED = parseFloat(process.env.SIMULATION_SPEED || '60');
+const DEFAULT_TICK_MS = parseInt(process.env.SIMULATION_TICK_MS || '1000', 10);
+const MIN_TICK_MS = 100;
+const EVENT_BUFFER_SIZE = 500;
+
+const simulations = new Map();
+
+function toLatLng(point) {
+  return { lat: point.latitude, lng: point.longitude };
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Distance along the polyline at each of its points, in km
+function cumulativeDistances(points) {
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + calculateDistance(points[i - 1], points[i]));
+  }
+  return cumulative;
+}
+
+// Point and heading `distance` km along a polyline
+function pointAlong(points, cumulative, distance) {
+  let i = 1;
+  while (i < points.length - 1 && cumulative[i] < distance) i++;
+  const segment = cumulative[i] - cumulative[i - 1];
+  const fraction = segment > 0 ? Math.min(1, Math.max(0, (distance - cumulative[i - 1]) / segment)) : 1;
+  return {
+    point: interpolate(points[i - 1], points[i], fraction),
+    heading: calculateBearing(points[i - 1], points[i])
+  };
+}
+
+function buildVehicle(route) {
+  const legs = route.legs.map(leg => {
+    const cumulative = cumulativeDistances(leg.points);
+    return { ...leg, cumulative, length: cumulative[cumulative.length - 1] };
+  });
+
+  // Discrete events in time order; departures follow the service at each stop
+  const schedule = [];
+  if (legs.length) {
+    schedule.push({ at: legs[0].departAt, type: 'route_started' });
+  }
+  legs.forEach((leg, i) => {
+    schedule.push({ at: leg.arriveAt, type: 'arrival', leg: i });
+    schedule.push({ at: leg.leaveAt, type: 'departure', leg: i });
+  });
+  if (legs.length) {
+    schedule.push({ at: legs[legs.length - 1].leaveAt, type: 'route_completed' });
+  }
+
+  return {
+    vehicleId: route.vehicleId,
+    driverId: route.driverId || null,
+    vehicleType: route.vehicleType,
+    start: route.start,
+    legs,
+    schedule,
+    nextEvent: 0,
+    reported: null,
+    completed: legs.length === 0
+  };
+}
+
+/**
+ * Where a vehicle is at a simulated instant.
+ * @returns {{ state: string, point: object, heading: number|null, speed: number, legIndex: number|null }}
+ *   state is idle (before its first departure), driving, waiting, servicing or completed; speed in km/h
+ */
+function vehicleState(vehicle, time) {
+  const { legs } = vehicle;
+  if (!legs.length || time < legs[0].departAt) {
+    return { state: 'idle', point: vehicle.start, heading: null, speed: 0, legIndex: legs.length ? 0 : null };
+  }
+
+  for (let i = 0; i < legs.length; i++) {
+    const leg = legs[i];
+    if (time < leg.departAt) {
+      // Between the previous departure and this leg's start (a gap the solver left)
+      return { state: 'waiting', point: legs[i - 1].points[legs[i - 1].points.length - 1], heading: null, speed: 0, legIndex: i };
+    }
+    if (time < leg.arriveAt) {
+      const travelMs = leg.arriveAt - leg.departAt;
+      const { point, heading } = pointAlong(leg.points, leg.cumulative, leg.length * (time - leg.departAt) / travelMs);
+      return { state: 'driving', point, heading, speed: leg.length / (travelMs / 3600000), legIndex: i };
+    }
+    if (time < leg.leaveAt) {
+      const stopPoint = leg.points[leg.points.length - 1];
+      const state = time < leg.arriveAt + leg.waitingMs ? 'waiting' : 'servicing';
+      return { state, point: stopPoint, heading: null, speed: 0, legIndex: i };
+    }
+  }
+
+  const last = legs[legs.length - 1];
+  return { state: 'completed', point: last.points[last.points.length - 1], heading: null, speed: 0, legIndex: null };
+}
+
+function positionPayload(simulation, vehicle, time) {
+  const { state, point, heading, speed, legIndex } = vehicleState(vehicle, time);
+  return {
+    simulation_id: simulation.id,
+    vehicle_id: vehicle.vehicleId,
+    driver_id: vehicle.driverId,
+    state,
+    location: toLatLng(point),
+    heading: heading === null ? null : round(heading, 1),
+    speed_kmh: round(speed, 1),
+    next_step_id: legIndex === null ? null : vehicle.legs[legIndex].stepId,
+    simulated_time: new Date(time).toISOString()
+  };
+}
+
+function emit(simulation, type, data) {
+  const event = { id: ++simulation.sequence, type, data };
+  simulation.events.push(event);
+  if (simulation.events.length > EVENT_BUFFER_SIZE) simulation.events.shift();
+  simulation.listeners.forEach(listener => listener(event));
+}
+
+function scheduledPayload(simulation, vehicle, entry) {
+  const payload = {
+    simulation_id: simulation.id,
+    vehicle_id: vehicle.vehicleId,
+    driver_id: vehicle.driverId,
+    simulated_time: new Date(entry.at).toISOString()
+  };
+  if (entry.leg !== undefined) {
+    const leg = vehicle.legs[entry.leg];
+    payload.step_id = leg.stepId;
+    payload.step_type = leg.stepType;
+    payload.location = toLatLng(leg.points[leg.points.length - 1]);
+  }
+  return payload;
+}
+
+function finish(simulation, status) {
+  clearInterval(simulation.timer);
+  simulation.timer = null;
+  simulation.status = status;
+  simulation.finishedAt = new Date().toISOString();
+  emit(simulation, `simulation_${status}`, {
+    simulation_id: simulation.id,
+    simulated_time: new Date(simulation.simulatedTime).toISOString()
+  });
+  simulation.listeners.forEach(listener => listener(null));
+  simulation.listeners.clear();
+}
+
+function tick(simulation) {
+  const lastEventAt = Math.max(...simulation.vehicles.map(v => v.schedule.length ? v.schedule[v.schedule.length - 1].at : -Infinity));
+  const now = Math.min(
+    simulation.planStart + (Date.now() - simulation.startedAt) * simulation.speed,
+    Math.max(lastEventAt, simulation.planStart)
+  );
+  simulation.simulatedTime = now;
+
+  // Scheduled events that fell inside this tick, across vehicles in time order
+  const due = [];
+  for (const vehicle of simulation.vehicles) {
+    while (vehicle.nextEvent < vehicle.schedule.length && vehicle.schedule[vehicle.nextEvent].at <= now) {
+      due.push({ vehicle, entry: vehicle.schedule[vehicle.nextEvent++] });
+    }
+  }
+  due.sort((a, b) => a.entry.at - b.entry.at);
+  due.forEach(({ vehicle, entry }) => emit(simulation, entry.type, scheduledPayload(simulation, vehicle, entry)));
+
+  for (const vehicle of simulation.vehicles) {
+    if (vehicle.completed) continue;
+    const position = positionPayload(simulation, vehicle, now);
+    emit(simulation, 'position', position);
+    if (position.state === 'completed') vehicle.completed = true;
+
+    // Only report the driver when they have moved, so the location history stays useful
+    const { lat, lng } = position.location;
+    const moved = !vehicle.reported || vehicle.reported.lat !== lat || vehicle.reported.lng !== lng;
+    if (vehicle.driverId && moved && getDriver(vehicle.driverId)) {
+      vehicle.reported = position.location;
+      updateLocation(vehicle.driverId, {
+        latitude: position.location.lat,
+        longitude: position.location.lng,
+        heading: position.heading,
+        speed: position.speed_kmh
+      });
+    }
+  }
+
+  if (simulation.vehicles.every(v => v.completed)) finish(simulation, 'completed');
+}
+
+/**
+ * Parse the `simulate` option of an /optimize request.
+ * @param {boolean|object} value - true, or { speed, tick_ms }
+ * @returns {{ error: string } | { settings: { speed: number, tickMs: number } | null }}
+ */
+function parseSimulationOptions(value) {
+  if (value === undefined || value === false) return { settings: null };
+  const options = value === true ? {} : value;
+  if (typeof options !== 'object' || options === null) {
+    return { error: 'simulate must be true or an object { speed, tick_ms }' };
+  }
+
+  const speed = options.speed ?? DEFAULT_SPEED;
+  if (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0) {
+    return { error: 'simulate.speed must be a positive number (simulated seconds per real second)' };
+  }
+  const tickMs = options.tick_ms ?? DEFAULT_TICK_MS;
+  if (!Number.isInteger(tickMs) || tickMs < MIN_TICK_MS) {
+    return { error: `simulate.tick_ms must be an integer of at least ${MIN_TICK_MS}` };
+  }
+  return { settings: { speed, tickMs } };
+}
+
+/**
+ * Start driving a set of routes.
+ *
+ * @param {object} params
+ * @param {Array} params.routes - { vehicleId, driverId, vehicleType, start, legs } where each leg is
+ *   { stepId, stepType, points, departAt, arriveAt, waitingMs, leaveAt } with epoch ms times
+ * @param {number} params.planStart - epoch ms the simulated clock starts at
+ * @param {number} params.speed - simulated seconds per real second
+ * @param {number} params.tickMs - real ms between position updates
+ * @returns {object} the simulation
+ */
+function startSimulation({ routes, planStart, speed, tickMs }) {
+  const simulation = {
+    id: 'sim-' + uuidv4().split('-')[0],
+    status: 'running',
+    speed,
+    tickMs,
+    planStart,
+    startedAt: Date.now(),
+    simulatedTime: planStart,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    vehicles: routes.map(buildVehicle),
+    events: [],
+    sequence: 0,
+    listeners: new Set(),
+    timer: null
+  };
+  simulations.set(simulation.id, simulation);
+
+  emit(simulation, 'simulation_started', {
+    simulation_id: simulation.id,
+    speed,
+    vehicles: simulation.vehicles.map(v => v.vehicleId),
+    simulated_time: new Date(planStart).toISOString()
+  });
+  tick(simulation);
+  if (simulation.status === 'running') {
+    simulation.timer = setInterval(() => tick(simulation), tickMs);
+  }
+
+  console.log(`[ROS] Simulation ${simulation.id} started: ${routes.length} vehicles at ${speed}x`);
+  return simulation;
+}
+
+function getSimulation(id) {
+  return simulations.get(id) || null;
+}
+
+function listSimulations() {
+  return Array.from(simulations.values());
+}
+
+function stopSimulation(id) {
+  const simulation = simulations.get(id);
+  if (!simulation) return { error: `Simulation ${id} not found`, status: 404 };
+  if (simulation.status !== 'running') {
+    return { error: `Simulation ${id} is already ${simulation.status}`, status: 409 };
+  }
+  finish(simulation, 'stopped');
+  return { simulation };
+}
+
+/**
+ * Receive a simulation's events. Buffered events after `afterId` are replayed
+ * first; the listener is called with null when the simulation ends.
+ * @returns {function} unsubscribe
+ */
+function subscribe(simulation, listener, afterId = 0) {
+  simulation.events.filter(event => event.id > afterId).forEach(listener);
+  if (simulation.status !== 'running') {
+    listener(null);
+    return () => {};
+  }
+  simulation.listeners.add(listener);
+  return () => simulation.listeners.delete(listener);
+}
+
+// Current state of a simulation and each of its vehicles
+function snapshot(simulation) {
+  return {
+    id: simulation.id,
+    status: simulation.status,
+    speed: simulation.speed,
+    tick_ms: simulation.tickMs,
+    departure_time: new Date(simulation.planStart).toISOString(),
+    simulated_time: new Date(simulation.simulatedTime).toISOString(),
+    created_at: simulation.createdAt,
+    finished_at: simulation.finishedAt,
+    vehicles: simulation.vehicles.map(vehicle => positionPayload(simulation, vehicle, simulation.simulatedTime))
+  };
+}
+
+module.exports = {
+  parseSimulationOptions,
+  startSimulation,
+  getSimulation,
+  listSimulations,
+  stopSimulation,
+  subscribe,
+  snapshot
+};
@@ -0,0 +1,138 @@
+// Translates solver routes into the /optimize response shape
+//
+// Each route is redrawn leg by leg (geometry and turn-by-turn instructions)
+// and its times are turned back into ISO timestamps. The same formatting serves
+// fresh optimizations and re-optimized route plans.
+const { COST_PER_KM } = require('./optimizer');
+const { travelBetween } = require('./travel');
+const { formatGeometry, buildLeg, joinLegs } = require('./geometry');
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function stopLabel(locations, stopIndex) {
+  return locations[stopIndex].id || `stop-${stopIndex}`;
+}
+
+function vehicleLabel(vehicles, vehicleIndex) {
+  return vehicles[vehicleIndex].id || `vehicle-${vehicleIndex + 1}`;
+}
+
+/**
+ * Format solved routes for the response.
+ *
+ * @param {object} params
+ * @param {Array} params.locations - request locations the stop indices refer to
+ * @param {Array} params.vehicles - request vehicles the vehicle indices refer to
+ * @param {object} params.problem - buildProblem() output for the same locations and vehicles
+ * @param {Array} params.routes - { vehicleIndex, legs, status } with legs as returned by solve();
+ *   a leg may carry `fixed` when it was kept from an earlier plan
+ * @param {Array} params.unassigned - { stopIndex, reason, message }
+ * @param {number} params.planStart - epoch ms the leg times are relative to
+ * @param {string} params.geometryFormat
+ * @returns {{ routes: Array, unassigned: Array, summary: object, simulatedRoutes: Array }}
+ *   simulatedRoutes is the input for startSimulation()
+ */
+function formatSolution({ locations, vehicles, problem, routes, unassigned, planStart, geometryFormat }) {
+  const simulatedRoutes = [];
+  const formattedRoutes = routes.map(({ vehicleIndex, legs, status = 'active' }) => {
+    const vehicle = vehicles[vehicleIndex];
+    const routeStart = problem.vehicles[vehicleIndex].startTime;
+    const legPoints = [];
+    const simulatedLegs = [];
+    let previousPoint = problem.vehicles[vehicleIndex].start;
+    let totalDistance = 0;
+
+    const steps = legs.map(({ stopIndex, distance, travelTime, arrival, waitingTime, departure, load, fixed }, stepIndex) => {
+      const stop = locations[stopIndex];
+      totalDistance += distance;
+
+      const stopPoint = problem.stops[stopIndex].point;
+      const leg = buildLeg(previousPoint, stopPoint, travelTime, travelBetween(previousPoint, stopPoint).vertices);
+      legPoints.push(leg.points);
+      previousPoint = stopPoint;
+      simulatedLegs.push({
+        stepId: stopLabel(locations, stopIndex),
+        stepType: stop.type || null,
+        points: leg.points,
+        departAt: planStart + (arrival - travelTime) * 1000,
+        arriveAt: planStart + arrival * 1000,
+        waitingMs: waitingTime * 1000,
+        leaveAt: planStart + departure * 1000
+      });
+
+      const step = {
+        id: stopLabel(locations, stopIndex),
+        type: stop.type || (stepIndex === 0 ? 'pickup' : 'delivery'),
+        location: {
+          address: stop.address || `Stop ${stopIndex + 1}`,
+          coordinates: {
+            lat: stop.coordinates.lat,
+            lng: stop.coordinates.lng
+          }
+        },
+        arrival: new Date(planStart + arrival * 1000).toISOString(),
+        departure: new Date(planStart + departure * 1000).toISOString(),
+        distance: round2(distance),
+        duration: travelTime,
+        waiting_time: waitingTime,
+        description: `${stop.type || 'Stop'} at ${stop.address || 'location'}`,
+        geometry: formatGeometry(leg.points, geometryFormat),
+        instructions: leg.instructions,
+        fixed: Boolean(fixed)
+      };
+      if (problem.dimensions.length) {
+        step.load = Object.fromEntries(problem.dimensions.map((dimension, d) => [dimension, load[d]]));
+      }
+      return step;
+    });
+
+    simulatedRoutes.push({
+      vehicleId: vehicleLabel(vehicles, vehicleIndex),
+      driverId: vehicle.driver_id,
+      vehicleType: problem.vehicles[vehicleIndex].vehicleType,
+      start: problem.vehicles[vehicleIndex].start,
+      legs: simulatedLegs
+    });
+
+    return {
+      vehicle_id: vehicleLabel(vehicles, vehicleIndex),
+      vehicle_type: problem.vehicles[vehicleIndex].vehicleType,
+      status,
+      distance: round2(totalDistance),
+      duration: legs.length ? legs[legs.length - 1].departure - routeStart : 0,
+      cost: round2(totalDistance * COST_PER_KM),
+      route_geometry: formatGeometry(joinLegs(legPoints), geometryFormat),
+      steps
+    };
+  });
+
+  const formattedUnassigned = unassigned.map(({ stopIndex, reason, message }) => ({
+    id: stopLabel(locations, stopIndex),
+    type: locations[stopIndex].type || null,
+    reason,
+    message
+  }));
+
+  const totalDistance = formattedRoutes.reduce((sum, route) => sum + route.distance, 0);
+  const totalDuration = formattedRoutes.reduce((sum, route) => sum + route.duration, 0);
+  const totalCost = formattedRoutes.reduce((sum, route) => sum + route.cost, 0);
+
+  return {
+    routes: formattedRoutes,
+    unassigned: formattedUnassigned,
+    summary: {
+      total_distance: round2(totalDistance),
+      total_time: totalDuration,
+      total_cost: round2(totalCost)
+    },
+    simulatedRoutes
+  };
+}
+
+module.exports = {
+  stopLabel,
+  vehicleLabel,
+  formatSolution
+};
@@ -0,0 +1,170 @@
+// Time-of-day traffic and vehicle speed model
+//
+// Base durations from the travel model are stretched by the vehicle
+// type's speed factor and, when traffic is considered, by a congestion
+// multiplier that depends on the local day of week and time of day: an hourly
+// curve per day (linearly interpolated) times any rush-hour window in force.
+// Long legs are integrated in slices, so a leg that runs into rush hour slows
+// down part way through. The profile lives in config/traffic.json and can be
+// replaced with TRAFFIC_PROFILE_FILE.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE_FILE = path.join(__dirname, '..', 'config', 'traffic.json');
+const DEFAULT_VEHICLE_TYPE = 'car';
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SLICE_SECONDS = 900; // re-evaluate congestion every 15 minutes of driving
+
+let profile = null;
+
+// "HH:MM" -> minutes after midnight
+function parseClock(value, label) {
+  const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || +match[1] > 24 || +match[2] > 59) {
+    throw new Error(`Traffic profile ${label} must be "HH:MM", got ${JSON.stringify(value)}`);
+  }
+  return +match[1] * 60 + +match[2];
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function normaliseProfile(raw) {
+  const curves = raw.curves || {};
+  for (const [name, curve] of Object.entries(curves)) {
+    if (!Array.isArray(curve) || curve.length !== 24 || !curve.every(isPositiveNumber)) {
+      throw new Error(`Traffic curve "${name}" must be 24 positive hourly multipliers`);
+    }
+  }
+
+  const days = DAY_NAMES.map(day => {
+    const curveName = (raw.days || {})[day];
+    if (curveName == null) return null;
+    if (!curves[curveName]) throw new Error(`Traffic profile day "${day}" uses unknown curve "${curveName}"`);
+    return curves[curveName];
+  });
+
+  const rushHours = (raw.rush_hours || []).map((window, i) => {
+    if (!isPositiveNumber(window.multiplier)) {
+      throw new Error(`Traffic rush_hours[${i}].multiplier must be a positive number`);
+    }
+    const windowDays = window.days || DAY_NAMES;
+    const unknown = windowDays.find(day => !DAY_NAMES.includes(day));
+    if (unknown) throw new Error(`Traffic rush_hours[${i}] has unknown day "${unknown}"`);
+    return {
+      days: new Set(windowDays.map(day => DAY_NAMES.indexOf(day))),
+      start: parseClock(window.start, `rush_hours[${i}].start`),
+      end: parseClock(window.end, `rush_hours[${i}].end`),
+      multiplier: window.multiplier
+    };
+  });
+
+  const vehicleTypes = {};
+  for (const [name, type] of Object.entries(raw.vehicle_types || {})) {
+    if (!isPositiveNumber(type.speed_factor)) {
+      throw new Error(`Vehicle type "${name}" needs a positive speed_factor`);
+    }
+    vehicleTypes[name] = {
+      speedFactor: type.speed_factor,
+      trafficSensitivity: type.traffic_sensitivity ?? 1
+    };
+  }
+  if (!vehicleTypes[DEFAULT_VEHICLE_TYPE]) {
+    vehicleTypes[DEFAULT_VEHICLE_TYPE] = { speedFactor: 1, trafficSensitivity: 1 };
+  }
+
+  return {
+    utcOffsetMs: (raw.utc_offset_minutes || 0) * 60000,
+    days,
+    rushHours,
+    vehicleTypes
+  };
+}
+
+/**
+ * Load and validate a traffic profile, replacing the current one.
+ * @param {string} [file] - defaults to config/traffic.json
+ * @returns {{ file: string, vehicleTypes: string[] }}
+ */
+function loadTrafficProfile(file = DEFAULT_PROFILE_FILE) {
+  profile = normaliseProfile(JSON.parse(fs.readFileSync(file, 'utf8')));
+  return { file, vehicleTypes: Object.keys(profile.vehicleTypes) };
+}
+
+function currentProfile() {
+  if (!profile) loadTrafficProfile();
+  return profile;
+}
+
+function vehicleTypes() {
+  return Object.keys(currentProfile().vehicleTypes);
+}
+
+function isKnownVehicleType(name) {
+  return Object.prototype.hasOwnProperty.call(currentProfile().vehicleTypes, name);
+}
+
+/**
+ * Congestion multiplier (1 = the base speed) at an instant.
+ * @param {number} epochMs
+ * @returns {number}
+ */
+function trafficMultiplier(epochMs) {
+  const { utcOffsetMs, days, rushHours } = currentProfile();
+  const local = new Date(epochMs + utcOffsetMs);
+  const day = local.getUTCDay();
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes() + local.getUTCSeconds() / 60;
+
+  let multiplier = 1;
+  const curve = days[day];
+  if (curve) {
+    const hour = Math.floor(minutes / 60);
+    const fraction = minutes / 60 - hour;
+    multiplier = curve[hour] + (curve[(hour + 1) % 24] - curve[hour]) * fraction;
+  }
+
+  for (const window of rushHours) {
+    if (window.days.has(day) && minutes >= window.start && minutes < window.end) {
+      multiplier *= window.multiplier;
+    }
+  }
+  return multiplier;
+}
+
+/**
+ * Driving time for a leg departing at a given instant.
+ *
+ * @param {number} baseSeconds - duration from the travel model
+ * @param {number} departureMs - epoch ms the leg starts
+ * @param {object} [options]
+ * @param {boolean} [options.traffic] - apply the time-of-day congestion curve
+ * @param {string} [options.vehicleType] - key of the profile's vehicle_types
+ * @returns {number} seconds, rounded
+ */
+function travelDuration(baseSeconds, departureMs, { traffic = false, vehicleType = DEFAULT_VEHICLE_TYPE } = {}) {
+  const type = currentProfile().vehicleTypes[vehicleType] || currentProfile().vehicleTypes[DEFAULT_VEHICLE_TYPE];
+  const work = baseSeconds / type.speedFactor;
+  if (!traffic || work <= 0) return Math.round(work);
+
+  // Drive in slices aligned to the clock, each at the congestion of its start
+  let remaining = work;
+  let clock = departureMs;
+  while (remaining > 1e-6) {
+    const multiplier = Math.max(0.1, 1 + (trafficMultiplier(clock) - 1) * type.trafficSensitivity);
+    const untilBoundary = SLICE_SECONDS - ((clock / 1000) % SLICE_SECONDS);
+    const elapsed = Math.min(remaining * multiplier, untilBoundary);
+    remaining -= elapsed / multiplier;
+    clock += elapsed * 1000;
+  }
+  return Math.round((clock - departureMs) / 1000);
+}
+
+module.exports = {
+  DEFAULT_VEHICLE_TYPE,
+  loadTrafficProfile,
+  vehicleTypes,
+  isKnownVehicleType,
+  trafficMultiplier,
+  travelDuration
+};
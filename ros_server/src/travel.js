@@ -0,0 +1,105 @@
+// Travel model: distance and base driving time (before traffic) between points
+//
+// With a road graph loaded (ROAD_GRAPH_FILE) legs follow the fastest path on
+// the network; points are snapped to the nearest road node and the stretch
+// to and from the road is driven at the haversine model's speed. Without a
+// graph, or when a point is too far from any road or no path exists, legs
+// fall back to great-circle distance at AVERAGE_SPEED_KMH (default 30 km/h).
+const fs = require('fs');
+const { calculateDistance, calculateETA } = require('./geo');
+const { parseRoadGraph, nearestNode, fastestPath, fastestTimes } = require('./roadGraph');
+
+const MAX_SNAP_KM = parseFloat(process.env.ROAD_GRAPH_MAX_SNAP_KM || '2');
+
+let graph = null;
+let graphSource = null;
+
+/**
+ * Load a road graph file, replacing any graph loaded before.
+ * @param {string} file - path to a JSON or GeoJSON road graph
+ * @returns {{ nodes: number, edges: number }}
+ */
+function loadRoadGraph(file) {
+  graph = parseRoadGraph(JSON.parse(fs.readFileSync(file, 'utf8')));
+  graphSource = file;
+  return { nodes: graph.lat.length, edges: graph.edgeCount };
+}
+
+function distanceModel() {
+  return graph
+    ? { type: 'road-graph', source: graphSource, nodes: graph.lat.length, edges: graph.edgeCount }
+    : { type: 'haversine' };
+}
+
+function straightLine(from, to) {
+  const distance = calculateDistance(from, to);
+  return { distance, duration: calculateETA(distance), vertices: null, model: 'haversine' };
+}
+
+function snap(point) {
+  return graph ? nearestNode(graph, point, MAX_SNAP_KM) : null;
+}
+
+/**
+ * Travel between two points.
+ * @returns {{ distance: number, duration: number, vertices: Array | null, model: string }}
+ *   km, base seconds, the road path (null on the haversine fallback) and which model answered
+ */
+function travelBetween(from, to) {
+  const start = snap(from);
+  const end = start && snap(to);
+  if (!end) return straightLine(from, to);
+
+  const path = fastestPath(graph, start.index, end.index);
+  if (!path) return straightLine(from, to);
+
+  const distance = start.distance + path.distance + end.distance;
+  const duration = Math.round(calculateETA(start.distance) + path.duration + calculateETA(end.distance));
+  const vertices = [from, ...path.vertices, to];
+  return { distance, duration, vertices, model: 'road-graph' };
+}
+
+/**
+ * Distance (km) and base duration (s) between every pair of points,
+ * with one Dijkstra run per source when a road graph is loaded.
+ * @param {Array<{ latitude: number, longitude: number }>} sources
+ * @param {Array<{ latitude: number, longitude: number }>} [destinations] - defaults to sources
+ * @returns {{ distance: Float64Array[], duration: Float64Array[] }}
+ */
+function travelMatrix(sources, destinations = sources) {
+  const distance = sources.map(() => new Float64Array(destinations.length));
+  const duration = sources.map(() => new Float64Array(destinations.length));
+
+  const fill = (i, j, leg) => {
+    distance[i][j] = leg.distance;
+    duration[i][j] = leg.duration;
+  };
+
+  const destinationSnaps = destinations.map(snap);
+  const targets = Array.from(new Set(destinationSnaps.filter(Boolean).map(s => s.index)));
+
+  sources.forEach((from, i) => {
+    const start = snap(from);
+    const times = start ? fastestTimes(graph, start.index, targets) : null;
+
+    destinations.forEach((to, j) => {
+      if (sources === destinations && i === j) return fill(i, j, { distance: 0, duration: 0 });
+      const end = destinationSnaps[j];
+      const path = times && end && times.get(end.index);
+      if (!path) return fill(i, j, straightLine(from, to));
+      fill(i, j, {
+        distance: start.distance + path.distance + end.distance,
+        duration: Math.round(calculateETA(start.distance) + path.duration + calculateETA(end.distance))
+      });
+    });
+  });
+
+  return { distance, duration };
+}
+
+module.exports = {
+  loadRoadGraph,
+  distanceModel,
+  travelBetween,
+  travelMatrix
+};
@@ -5,6 +5,38 @@ import net from 'net';
 import express from 'express';
 import morgan from 'morgan';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  loadInventory,
+  findSku,
+  totalStock,
+  getSkuView,
+  listInventory,
+  listLocations,
+  hasZone,
+  skuCount,
+  pickStock,
+  adjustStock
+} from './src/inventory.js';
+import {
+  MANIFEST_STATUSES,
+  loadFleet,
+  manifestView,
+  listVehicles,
+  listDocks,
+  hasDock,
+  setDockSchedule,
+  listManifests,
+  getManifest,
+  findManifest,
+  openManifest,
+  reserveLoad,
+  completeLoad,
+  cancelLoad,
+  unloadPackage,
+  closeManifest,
+  dispatchManifest
+} from './src/fleet.js';
+import { OUTBOX_LIMIT, ensureOutbox, hasOutbox, removeOutbox, outboxAdapterIds, enqueue, acknowledge, unackedAfter, outboxStats } from './src/outbox.js';
 
 // --------- Configuration (env or defaults) ----------
 const WMS_TCP_PORT = parseInt(process.env.WMS_TCP_PORT || '3008', 10);
@@ -13,12 +45,46 @@ const DEFAULT_DELAY_MS = parseInt(process.env.WMS_DEFAULT_DELAY_MS || '3000', 10
 const PACKAGE_READY_EXTRA_MS = parseInt(process.env.WMS_READY_EXTRA_MS || '1000', 10); // extra after received
 const DEFAULT_LOAD_DELAY_MS = parseInt(process.env.WMS_LOAD_DELAY_MS || '2000', 10);
 const ERROR_RATE = parseFloat(process.env.WMS_ERROR_RATE || '0.0'); // 0.0 = no random errors
+const INVENTORY_FILE = process.env.WMS_INVENTORY_FILE || undefined; // default: config/inventory.json
+const FLEET_FILE = process.env.WMS_FLEET_FILE || undefined; // default: config/fleet.json
+const HEARTBEAT_MS = parseInt(process.env.WMS_HEARTBEAT_MS || '15000', 10); // ping interval; 0 = no pings, no idle timeout
+const IDLE_TIMEOUT_MS = parseInt(process.env.WMS_IDLE_TIMEOUT_MS || '45000', 10); // close adapters silent this long
+
+// SKUs, bins and zones; an invalid seed file stops startup
+const inventory = loadInventory(INVENTORY_FILE);
+console.log(`[WMS] Inventory loaded from ${inventory.file}: ${inventory.skus} SKU(s) in ${inventory.bins} bin(s), ${inventory.zones} zone(s)`);
+
+// vehicles and loading docks; an invalid seed file stops startup
+const fleet = loadFleet(FLEET_FILE);
+console.log(`[WMS] Fleet loaded from ${fleet.file}: ${fleet.vehicles} vehicle(s), ${fleet.docks} dock(s)`);
 
 // ---------- In-memory stores ----------
-const adapters = new Map(); // adapterId -> { socket, capabilities, lastSeen, buffer }
+const adapters = new Map(); // adapterId -> { socket (null while disconnected), generatedId, capabilities, remote, connectedAt, lastSeen, disconnectedAt }
+const socketAdapters = new WeakMap(); // socket -> adapterId registered on it
 const packages = new Map(); // packageId -> packageObj
 let errorMode = false; // when true, simulate failure responses for demo
 
+// Package lifecycle: the statuses a package can move to from each status.
+// Every change (TCP commands, processing timers, admin API) goes through it;
+// damaged and lost are final, an errored package only goes back to received
+// through the admin API.
+const PACKAGE_TRANSITIONS = {
+  received: ['ready_for_loading', 'damaged', 'lost', 'error'],
+  ready_for_loading: ['scanned', 'loaded', 'damaged', 'lost', 'error'],
+  scanned: ['scanned', 'loaded', 'damaged', 'lost', 'error'],
+  loaded: ['returned', 'damaged', 'lost', 'error'],
+  returned: ['ready_for_loading', 'damaged', 'lost'],
+  damaged: [],
+  lost: [],
+  error: ['received']
+};
+const PACKAGE_STATUSES = Object.keys(PACKAGE_TRANSITIONS);
+const loadsInProgress = new Set(); // packageIds waiting for their load delay
+
+// Pick/pack happens alongside the lifecycle, while a package is still in the warehouse.
+// fulfilment.status: not_picked -> short (until restocked and picked again) -> picked -> packed
+const PICKABLE_STATUSES = ['received', 'ready_for_loading'];
+
 // ---------- Helpers ----------
 function shortId() {
   return uuidv4().split('-')[0].toUpperCase();
@@ -29,7 +95,8 @@ function makePackageId() {
 function nowISO() {
   return new Date().toISOString();
 }
-function sendLine(socket, obj) {
+// raw write, without a sequence number (register_ack, ping, pong)
+function writeLine(socket, obj) {
   if (!socket || socket.destroyed) return;
   try {
     socket.write(JSON.stringify(obj) + '\n');
@@ -37,14 +104,46 @@ function sendLine(socket, obj) {
     console.error('Failed to write to socket:', e.message);
   }
 }
-function broadcastToAdapters(obj) {
-  for (const [, info] of adapters) {
-    sendLine(info.socket, obj);
-  }
+// reply on a socket: to the adapter registered on it (sequenced, see sendToAdapterById),
+// or as is to a socket that never registered
+function sendLine(socket, obj) {
+  const adapterId = socketAdapters.get(socket);
+  if (adapterId) return sendToAdapterById(adapterId, obj);
+  writeLine(socket, obj);
 }
+// numbered and kept until acked; written to the adapter's current connection, if it has one.
+// Dropped for an adapter whose outbox was discarded (see releaseAdapter).
 function sendToAdapterById(adapterId, obj) {
+  const message = enqueue(adapterId, obj);
+  if (!message) return;
+  const info = adapters.get(adapterId);
+  if (info) writeLine(info.socket, message);
+}
+// an adapter's socket is gone: keep its outbox for a reconnect, unless its adapterId was
+// generated by us, which the adapter did not choose and is not expected to register with again.
+// Replies still pending for that socket are then dropped. A no-op when it has moved to another socket.
+function releaseAdapter(adapterId, socket) {
   const info = adapters.get(adapterId);
-  if (info) sendLine(info.socket, obj);
+  if (!info || info.socket !== socket) return;
+  if (info.generatedId) {
+    adapters.delete(adapterId);
+    removeOutbox(adapterId);
+    socketAdapters.delete(socket);
+    return;
+  }
+  info.socket = null;
+  info.disconnectedAt = Date.now();
+}
+// every adapter that ever registered, so disconnected ones get it on reconnect
+function broadcastToAdapters(obj) {
+  for (const adapterId of outboxAdapterIds()) {
+    sendToAdapterById(adapterId, obj);
+  }
+}
+// send to the requesting socket and every other adapter
+function sendAndBroadcast(socket, obj) {
+  if (!socketAdapters.has(socket)) writeLine(socket, obj);
+  broadcastToAdapters(obj);
 }
 
 // safe parse per-line
@@ -56,6 +155,65 @@ function tryParseJson(line) {
   }
 }
 
+// ---------- Package lifecycle ----------
+// error for a move the lifecycle does not allow, with the most specific code
+function transitionError(pkg, to) {
+  const allowed = PACKAGE_TRANSITIONS[pkg.status];
+  let code = 'invalid_transition';
+  if (pkg.status === 'error') code = 'package_in_error';
+  else if (!allowed.length) code = 'package_unavailable'; // damaged or lost
+  else if (to === 'returned') code = 'package_not_loaded';
+  else if (pkg.status === 'loaded' && (to === 'scanned' || to === 'loaded')) code = 'package_already_loaded';
+  else if (to === 'scanned' || to === 'loaded') code = 'package_not_ready';
+  return {
+    type: 'error',
+    message: code,
+    packageId: pkg.packageId,
+    orderId: pkg.orderId,
+    status: pkg.status,
+    requested: to,
+    allowed,
+    details: `package ${pkg.packageId} is ${pkg.status} and cannot become ${to}`
+  };
+}
+
+// event emitted to adapters when a package enters a status
+function packageEvent(pkg, note) {
+  if (pkg.status === 'error') {
+    return { type: 'error', packageId: pkg.packageId, orderId: pkg.orderId, message: note || 'simulated_error' };
+  }
+  const type = `package_${pkg.status === 'ready_for_loading' ? 'ready' : pkg.status}`;
+  const ev = { type, packageId: pkg.packageId, orderId: pkg.orderId, status: pkg.status, timestamp: nowISO() };
+  if (pkg.status === 'loaded') {
+    ev.vehicleId = pkg.assignedVehicle;
+    ev.manifestId = pkg.manifestId;
+    ev.dockId = getManifest(pkg.manifestId).dockId;
+  }
+  if (pkg.status === 'scanned') ev.scanPoint = pkg.scanPoint;
+  if (note && pkg.status !== 'loaded') ev.reason = note;
+  return ev;
+}
+
+// move a package if the lifecycle allows it; returns the error event when it does not
+function movePackage(pkg, to, { vehicleId, manifestId, scanPoint, reason } = {}) {
+  if (!PACKAGE_TRANSITIONS[pkg.status].includes(to)) return transitionError(pkg, to);
+  // a package leaving a vehicle that has not been dispatched comes off its manifest
+  if (pkg.status === 'loaded' && to !== 'loaded') {
+    unloadPackage(pkg.manifestId, pkg.packageId);
+    pkg.manifestId = null;
+  }
+  pkg.status = to;
+  pkg.statusReason = reason || null;
+  pkg.timestamps[to === 'ready_for_loading' ? 'ready' : to] = nowISO();
+  if (to === 'loaded') {
+    pkg.assignedVehicle = vehicleId;
+    pkg.manifestId = manifestId;
+  }
+  if (to === 'scanned') pkg.scanPoint = scanPoint || 'unknown';
+  if (to === 'returned') pkg.assignedVehicle = null;
+  return null;
+}
+
 // ---------- TCP server logic ----------
 const tcpServer = net.createServer((socket) => {
   socket.setEncoding('utf8');
@@ -67,6 +225,7 @@ const tcpServer = net.createServer((socket) => {
   let adapterId = null;
 
   socket.on('data', (chunk) => {
+    if (adapterId && adapters.has(adapterId)) adapters.get(adapterId).lastSeen = Date.now();
     buffer += chunk;
     // split by newline
     let idx;
@@ -86,15 +245,59 @@ const tcpServer = net.createServer((socket) => {
 
   socket.on('close', () => {
     console.log(`[TCP] Connection closed: ${remote} (adapter ${adapterId || 'unknown'})`);
-    if (adapterId && adapters.has(adapterId)) {
-      adapters.delete(adapterId);
-    }
+    if (adapterId) releaseAdapter(adapterId, socket);
   });
 
   socket.on('error', (err) => {
     console.warn(`[TCP] Socket error from ${remote}:`, err.message);
   });
 
+  // register_adapter: { adapterId, capabilities, lastSeq } — lastSeq is the last seq the adapter
+  // processed on a previous connection; everything unacked after it is sent again
+  function registerAdapter(sock, msg) {
+    if (msg.lastSeq !== undefined && !(Number.isInteger(msg.lastSeq) && msg.lastSeq >= 0)) {
+      return writeLine(sock, { type: 'error', message: 'invalid_seq', details: 'lastSeq must be a whole number >= 0' });
+    }
+    const newAdapterId = msg.adapterId || 'adapter-' + shortId();
+    // registering again on this socket under another adapterId leaves the old one
+    if (adapterId && adapterId !== newAdapterId) releaseAdapter(adapterId, sock);
+    adapterId = newAdapterId;
+    // the adapter came back on a new connection before the old one closed: only one connection per adapterId
+    const previous = adapters.get(adapterId);
+    if (previous && previous.socket && previous.socket !== sock) {
+      console.log(`[TCP] Adapter ${adapterId} registered from ${remote}, closing its previous connection from ${previous.remote}`);
+      writeLine(previous.socket, { type: 'error', message: 'replaced_by_new_connection' });
+      // the old socket stays mapped, so replies still pending for it go to the outbox
+      previous.socket.destroy();
+    }
+    const resumed = hasOutbox(adapterId);
+    ensureOutbox(adapterId);
+    adapters.set(adapterId, {
+      socket: sock,
+      generatedId: !msg.adapterId,
+      capabilities: msg.capabilities || [],
+      remote,
+      connectedAt: Date.now(),
+      lastSeen: Date.now(),
+      disconnectedAt: null
+    });
+    socketAdapters.set(sock, adapterId);
+
+    // a lastSeq ahead of ours comes from before a WMS restart: the numbering started over
+    const { lastSeq, lastAckedSeq, droppedThroughSeq } = outboxStats(adapterId);
+    const sequenceReset = msg.lastSeq > lastSeq;
+    const seen = msg.lastSeq === undefined || sequenceReset ? lastAckedSeq : msg.lastSeq;
+    if (!sequenceReset && msg.lastSeq !== undefined) acknowledge(adapterId, msg.lastSeq);
+    const replay = unackedAfter(adapterId, seen);
+
+    console.log(`[TCP] Adapter ${resumed ? 're-registered' : 'registered'}: ${adapterId} capabilities=${JSON.stringify(msg.capabilities||[])}${replay.length ? `, redelivering ${replay.length} event(s)` : ''}`);
+    const ack = { type: 'register_ack', adapterId, status: 'ok', timestamp: nowISO(), lastSeq, redelivering: replay.length };
+    if (sequenceReset) ack.sequenceReset = true;
+    if (seen < droppedThroughSeq) ack.eventsDropped = true;
+    writeLine(sock, ack);
+    for (const message of replay) writeLine(sock, { ...message, redelivered: true });
+  }
+
   // handle messages
   function handleTcpMessage(sock, msg) {
     const t = msg.type;
@@ -104,14 +307,22 @@ const tcpServer = net.createServer((socket) => {
     }
 
     if (t === 'register_adapter') {
-      adapterId = msg.adapterId || 'adapter-' + shortId();
-      adapters.set(adapterId, {
-        socket: sock,
-        capabilities: msg.capabilities || [],
-        lastSeen: Date.now()
-      });
-      console.log(`[TCP] Adapter registered: ${adapterId} capabilities=${JSON.stringify(msg.capabilities||[])}`);
-      sendLine(sock, { type: 'register_ack', adapterId, status: 'ok', timestamp: nowISO() });
+      registerAdapter(sock, msg);
+      return;
+    }
+
+    // heartbeats are not sequenced; any line (a pong too) refreshes lastSeen
+    if (t === 'ping') {
+      writeLine(sock, { type: 'pong', timestamp: nowISO() });
+      return;
+    }
+    if (t === 'pong') return;
+
+    // { "type": "ack", "seq": 42 } acknowledges everything up to seq 42
+    if (t === 'ack') {
+      if (!adapterId) return writeLine(sock, { type: 'error', message: 'not_registered' });
+      const result = acknowledge(adapterId, msg.seq);
+      if (result.error) sendLine(sock, { type: 'error', message: result.error, received: msg.seq, details: result.details });
       return;
     }
 
@@ -130,18 +341,36 @@ const tcpServer = net.createServer((socket) => {
       case 'load_package':
         handleLoadPackage(sock, msg, adapterId);
         break;
+      case 'return_package':
+        handleExceptionReport(sock, msg, 'returned');
+        break;
+      case 'report_damaged':
+        handleExceptionReport(sock, msg, 'damaged');
+        break;
+      case 'report_lost':
+        handleExceptionReport(sock, msg, 'lost');
+        break;
+      case 'open_manifest':
+        handleOpenManifest(sock, msg);
+        break;
+      case 'close_manifest':
+        handleCloseManifest(sock, msg);
+        break;
+      case 'dispatch_vehicle':
+        handleDispatchVehicle(sock, msg);
+        break;
+      case 'pick_package':
+        handlePickPackage(sock, msg);
+        break;
+      case 'pack_package':
+        handlePackPackage(sock, msg);
+        break;
+      case 'adjust_stock':
+        handleAdjustStock(sock, msg);
+        break;
       case 'simulate_error':
         // direct simulate error for a package
-        if (msg.packageId && packages.has(msg.packageId)) {
-          const p = packages.get(msg.packageId);
-          p.status = 'error';
-          p.timestamps.error = nowISO();
-          sendLine(sock, { type: 'error', packageId: msg.packageId, message: msg.error || 'simulated_error' });
-          // also broadcast to all adapters for visibility
-          broadcastToAdapters({ type: 'error', packageId: msg.packageId, message: msg.error || 'simulated_error' });
-        } else {
-          sendLine(sock, { type: 'error', message: 'package_not_found' });
-        }
+        handleExceptionReport(sock, { ...msg, reason: msg.error || 'simulated_error' }, 'error');
         break;
       default:
         console.warn('[TCP] Unknown message type:', t);
@@ -151,42 +380,102 @@ const tcpServer = net.createServer((socket) => {
 });
 
 // ---------- Handlers ----------
-function handleReceivePackage(sock, msg, adapterId) {
-  // Validate minimal fields
-  if (!msg.orderId) {
-    return sendLine(sock, { type: 'error', message: 'missing_orderId' });
-  }
+// weight and volume as sent, or else added up from the items' SKUs (unmatched items count as 0)
+function packageDimensions(msg) {
+  const items = (msg.items || []).filter(isItem);
+  const sum = (field) => items.reduce((total, item) => {
+    const sku = findSku(item);
+    const qty = itemQuantity(item);
+    return sku && Number.isInteger(qty) && qty > 0 ? total + sku[field] * qty : total;
+  }, 0);
+  return {
+    weightKg: msg.weightKg ?? Math.round(sum('weightKg') * 1000) / 1000,
+    volumeM3: msg.volumeM3 ?? Math.round(sum('volumeM3') * 1000) / 1000
+  };
+}
 
-  // random failure simulation
-  if (errorMode || Math.random() < ERROR_RATE) {
-    console.log('[WMS] Simulating failure on receive_package for', msg.orderId);
-    return sendLine(sock, { type: 'error', message: 'simulated_receive_failure', orderId: msg.orderId });
-  }
+// the invalid_dimensions error for a weightKg/volumeM3 that is not a number >= 0, or null
+function dimensionsError(msg) {
+  const bad = ['weightKg', 'volumeM3'].filter((f) => msg[f] !== undefined && !(typeof msg[f] === 'number' && msg[f] >= 0));
+  if (!bad.length) return null;
+  return { type: 'error', message: 'invalid_dimensions', orderId: msg.orderId, fields: bad, details: `${bad.join(' and ')} must be ${bad.length > 1 ? 'numbers' : 'a number'} >= 0` };
+}
 
+function isItem(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item);
+}
+
+// the invalid_items error for items that are not an array of objects, or null
+function itemsError(msg) {
+  if (msg.items === undefined || (Array.isArray(msg.items) && msg.items.every(isItem))) return null;
+  return { type: 'error', message: 'invalid_items', orderId: msg.orderId, details: 'items must be an array of objects' };
+}
+
+// store a new package from a receive_package message (or the admin API)
+function createPackage(msg) {
   const packageId = makePackageId();
   const pkg = {
     packageId,
     orderId: msg.orderId,
     clientOrderRef: msg.clientOrderRef || null,
     items: msg.items || [],
+    ...packageDimensions(msg),
     pickup: msg.pickup || null,
     delivery: msg.delivery || null,
     contact: msg.contact || null,
     status: 'received',
+    statusReason: null,
     assignedVehicle: null,
+    manifestId: null,
+    fulfilment: { status: 'not_picked', lines: null, packStation: null },
     timestamps: {
       received: nowISO()
     },
     meta: msg.callbackMeta || {}
   };
   packages.set(packageId, pkg);
+  return pkg;
+}
+
+// package already received for an order (same orderId, or same clientOrderRef when given)
+function findPackageForOrder(msg) {
+  return Array.from(packages.values()).find((p) =>
+    p.orderId === msg.orderId || (msg.clientOrderRef && p.clientOrderRef === msg.clientOrderRef)) || null;
+}
+
+function handleReceivePackage(sock, msg, adapterId) {
+  // Validate minimal fields
+  if (!msg.orderId) {
+    return sendLine(sock, { type: 'error', message: 'missing_orderId' });
+  }
+  const badItems = itemsError(msg);
+  if (badItems) return sendLine(sock, badItems);
+  const badDimensions = dimensionsError(msg);
+  if (badDimensions) return sendLine(sock, badDimensions);
+
+  // a repeated receive (e.g. an adapter retry) is acknowledged with the existing package
+  const existing = findPackageForOrder(msg);
+  if (existing) {
+    console.log(`[WMS] Duplicate receive_package for ${msg.orderId}, existing package ${existing.packageId}`);
+    return sendLine(sock, { type: 'ack', messageId: 'm-' + shortId(), status: existing.status, packageId: existing.packageId, orderId: existing.orderId, duplicate: true });
+  }
+
+  // random failure simulation
+  if (errorMode || Math.random() < ERROR_RATE) {
+    console.log('[WMS] Simulating failure on receive_package for', msg.orderId);
+    return sendLine(sock, { type: 'error', message: 'simulated_receive_failure', orderId: msg.orderId });
+  }
+
+  const pkg = createPackage(msg);
+  const packageId = pkg.packageId;
 
   // send immediate ack
   sendLine(sock, { type: 'ack', messageId: 'm-' + shortId(), status: 'received', packageId, orderId: msg.orderId });
 
   // schedule package_received (slight delay) then package_ready
   setTimeout(() => {
-    pkg.status = 'received';
+    // the package may have been reported damaged/lost meanwhile
+    if (pkg.status !== 'received') return;
     pkg.timestamps.received = nowISO();
     const ev = { type: 'package_received', packageId, orderId: pkg.orderId, status: 'received', timestamp: pkg.timestamps.received };
     sendLine(sock, ev);
@@ -195,17 +484,15 @@ function handleReceivePackage(sock, msg, adapterId) {
 
     // after extra time, ready
     setTimeout(() => {
+      if (pkg.status !== 'received') return;
       if (errorMode || Math.random() < ERROR_RATE) {
-        pkg.status = 'error';
-        pkg.timestamps.error = nowISO();
+        movePackage(pkg, 'error');
         const errEv = { type: 'error', packageId, orderId: pkg.orderId, message: 'simulated_processing_error' };
         sendLine(sock, errEv);
         return;
       }
-      pkg.status = 'ready_for_loading';
-      pkg.timestamps.ready = nowISO();
-      const readyEv = { type: 'package_ready', packageId, orderId: pkg.orderId, status: 'ready_for_loading', timestamp: pkg.timestamps.ready };
-      sendLine(sock, readyEv);
+      movePackage(pkg, 'ready_for_loading');
+      sendLine(sock, packageEvent(pkg));
     }, PACKAGE_READY_EXTRA_MS);
   }, DEFAULT_DELAY_MS);
 }
@@ -214,36 +501,258 @@ function handleScanPackage(sock, msg, adapterId) {
   if (!msg.packageId) return sendLine(sock, { type: 'error', message: 'missing_packageId' });
   const pkg = packages.get(msg.packageId);
   if (!pkg) return sendLine(sock, { type: 'error', message: 'package_not_found' });
+  if (loadsInProgress.has(pkg.packageId)) {
+    return sendLine(sock, { type: 'error', message: 'load_in_progress', packageId: pkg.packageId, orderId: pkg.orderId });
+  }
 
-  pkg.status = 'scanned';
-  pkg.timestamps.scanned = nowISO();
-  const ev = { type: 'package_scanned', packageId: pkg.packageId, orderId: pkg.orderId, scanPoint: msg.scanPoint || 'unknown', timestamp: pkg.timestamps.scanned };
-  sendLine(sock, ev);
+  const rejected = movePackage(pkg, 'scanned', { scanPoint: msg.scanPoint });
+  if (rejected) return sendLine(sock, rejected);
+  sendLine(sock, packageEvent(pkg));
 }
 
 function handleLoadPackage(sock, msg, adapterId) {
   if (!msg.packageId) return sendLine(sock, { type: 'error', message: 'missing_packageId' });
   const pkg = packages.get(msg.packageId);
   if (!pkg) return sendLine(sock, { type: 'error', message: 'package_not_found' });
-  const vehicleId = msg.vehicleId || ('v-' + shortId());
+  if (loadsInProgress.has(pkg.packageId)) {
+    return sendLine(sock, { type: 'error', message: 'load_in_progress', packageId: pkg.packageId, orderId: pkg.orderId });
+  }
+  if (!PACKAGE_TRANSITIONS[pkg.status].includes('loaded')) return sendLine(sock, transitionError(pkg, 'loaded'));
+  if (!msg.vehicleId) return sendLine(sock, { type: 'error', message: 'missing_vehicleId', packageId: pkg.packageId, orderId: pkg.orderId });
+
+  // the vehicle must be at a dock with an open manifest and room for the package
+  const rejected = reserveVehicleLoad(pkg, msg.vehicleId, msg.dockId);
+  if (rejected.error) return sendLine(sock, rejected.error);
+  const { manifest } = rejected;
 
   // simulate load delay
+  loadsInProgress.add(pkg.packageId);
   setTimeout(() => {
+    loadsInProgress.delete(pkg.packageId);
+    // the package may have been reported damaged/lost during the load
+    if (!PACKAGE_TRANSITIONS[pkg.status].includes('loaded')) {
+      cancelLoad(manifest, pkg.packageId);
+      return sendLine(sock, transitionError(pkg, 'loaded'));
+    }
     if (errorMode || Math.random() < ERROR_RATE) {
-      pkg.status = 'error';
-      pkg.timestamps.error = nowISO();
+      cancelLoad(manifest, pkg.packageId);
+      movePackage(pkg, 'error');
       const errEv = { type: 'error', packageId: pkg.packageId, orderId: pkg.orderId, message: 'simulated_load_error' };
       sendLine(sock, errEv);
       return;
     }
-    pkg.status = 'loaded';
-    pkg.assignedVehicle = vehicleId;
-    pkg.timestamps.loaded = nowISO();
-    const ev = { type: 'package_loaded', packageId: pkg.packageId, orderId: pkg.orderId, vehicleId, status: 'loaded', timestamp: pkg.timestamps.loaded };
-    sendLine(sock, ev);
+    loadOnManifest(pkg, manifest);
+    sendLine(sock, packageEvent(pkg));
   }, DEFAULT_LOAD_DELAY_MS);
 }
 
+// room on the vehicle's open manifest for a package: { manifest }, or { error } with the error event
+function reserveVehicleLoad(pkg, vehicleId, dockId) {
+  const load = { packageId: pkg.packageId, orderId: pkg.orderId, weightKg: pkg.weightKg, volumeM3: pkg.volumeM3 };
+  const result = reserveLoad(vehicleId, dockId, load);
+  if (!result.error) return { manifest: result.manifest };
+  return { error: { type: 'error', message: result.error, packageId: pkg.packageId, orderId: pkg.orderId, vehicleId, details: result.details } };
+}
+
+// a reserved load reached the vehicle
+function loadOnManifest(pkg, manifest) {
+  movePackage(pkg, 'loaded', { vehicleId: manifest.vehicleId, manifestId: manifest.manifestId });
+  completeLoad(manifest, pkg.packageId, pkg.timestamps.loaded);
+}
+
+// return_package / report_damaged / report_lost / simulate_error: { packageId, reason }
+function handleExceptionReport(sock, msg, to) {
+  if (!msg.packageId) return sendLine(sock, { type: 'error', message: 'missing_packageId' });
+  const pkg = packages.get(msg.packageId);
+  if (!pkg) return sendLine(sock, { type: 'error', message: 'package_not_found' });
+
+  const rejected = movePackage(pkg, to, { reason: msg.reason });
+  if (rejected) return sendLine(sock, rejected);
+  const ev = packageEvent(pkg, msg.reason);
+  console.log(`[WMS] Package ${pkg.packageId} ${to}${msg.reason ? ` (${msg.reason})` : ''}`);
+  // also broadcast to the other adapters for visibility
+  sendAndBroadcast(sock, ev);
+}
+
+// ---------- Manifests ----------
+function manifestEvent(type, manifest) {
+  return { type, ...manifestView(manifest), timestamp: nowISO() };
+}
+
+// open_manifest: { vehicleId, dockId } — puts the vehicle at the dock, ready for load_package
+function handleOpenManifest(sock, msg) {
+  if (!msg.vehicleId) return sendLine(sock, { type: 'error', message: 'missing_vehicleId' });
+  if (!msg.dockId) return sendLine(sock, { type: 'error', message: 'missing_dockId' });
+  const result = openManifest(msg.vehicleId, msg.dockId);
+  if (result.error) return sendLine(sock, { type: 'error', message: result.error, vehicleId: msg.vehicleId, dockId: msg.dockId, details: result.details });
+  console.log(`[WMS] Manifest ${result.manifest.manifestId} opened for ${msg.vehicleId} at dock ${msg.dockId}`);
+  sendAndBroadcast(sock, manifestEvent('manifest_opened', result.manifest));
+}
+
+// close_manifest: { manifestId } or { vehicleId } — no more loads; the manifest lists what is on the vehicle
+function handleCloseManifest(sock, msg) {
+  const found = findManifest(msg);
+  if (found.error) return sendLine(sock, { type: 'error', message: found.error, manifestId: msg.manifestId, vehicleId: msg.vehicleId, details: found.details });
+  const result = closeManifest(found.manifest);
+  if (result.error) return sendLine(sock, { type: 'error', message: result.error, manifestId: found.manifest.manifestId, details: result.details });
+  console.log(`[WMS] Manifest ${result.manifest.manifestId} closed with ${result.manifest.packages.length} package(s)`);
+  sendAndBroadcast(sock, manifestEvent('manifest_closed', result.manifest));
+}
+
+// dispatch_vehicle: { vehicleId } or { manifestId } — the vehicle leaves with its closed manifest and frees the dock
+function handleDispatchVehicle(sock, msg) {
+  const found = findManifest(msg);
+  if (found.error) return sendLine(sock, { type: 'error', message: found.error, manifestId: msg.manifestId, vehicleId: msg.vehicleId, details: found.details });
+  const result = dispatchManifest(found.manifest);
+  if (result.error) return sendLine(sock, { type: 'error', message: result.error, manifestId: found.manifest.manifestId, details: result.details });
+  console.log(`[WMS] Vehicle ${result.manifest.vehicleId} dispatched from dock ${result.manifest.dockId} (manifest ${result.manifest.manifestId})`);
+  sendAndBroadcast(sock, manifestEvent('vehicle_dispatched', result.manifest));
+}
+
+// ---------- Pick / pack / stock ----------
+function outOfStockEvent(sku) {
+  const view = getSkuView(sku);
+  return { type: 'out_of_stock', sku, name: view.name, total: 0, timestamp: nowISO() };
+}
+
+// quantity of a package item ({ sku | name, qty }); items without one count once
+function itemQuantity(item) {
+  return item.qty ?? item.quantity ?? 1;
+}
+
+// a package that can still be picked or packed, or the error to send
+function fulfilmentError(pkg) {
+  if (PICKABLE_STATUSES.includes(pkg.status)) return null;
+  return {
+    type: 'error',
+    message: 'package_not_pickable',
+    packageId: pkg.packageId,
+    orderId: pkg.orderId,
+    status: pkg.status,
+    details: `package ${pkg.packageId} is ${pkg.status}; only ${PICKABLE_STATUSES.join(' or ')} packages are picked and packed`
+  };
+}
+
+// pick_package: { packageId } — takes the package's items out of stock, bin by bin.
+// A short pick keeps what was found; picking again after a restock takes the rest.
+function handlePickPackage(sock, msg) {
+  if (!msg.packageId) return sendLine(sock, { type: 'error', message: 'missing_packageId' });
+  const pkg = packages.get(msg.packageId);
+  if (!pkg) return sendLine(sock, { type: 'error', message: 'package_not_found' });
+  const rejected = fulfilmentError(pkg);
+  if (rejected) return sendLine(sock, rejected);
+  const { fulfilment } = pkg;
+  if (fulfilment.status === 'picked' || fulfilment.status === 'packed') {
+    return sendLine(sock, { type: 'error', message: 'already_picked', packageId: pkg.packageId, orderId: pkg.orderId, fulfilment: fulfilment.status });
+  }
+
+  // the first pick resolves every item to a SKU; nothing is taken if one does not resolve
+  if (!fulfilment.lines) {
+    const items = pkg.items.filter(isItem);
+    const unknown = items.filter((item) => !findSku(item)).map((item) => item.sku || item.name || null);
+    if (unknown.length) {
+      return sendLine(sock, { type: 'error', message: 'unknown_sku', packageId: pkg.packageId, orderId: pkg.orderId, skus: unknown });
+    }
+    const invalid = items.filter((item) => !(Number.isInteger(itemQuantity(item)) && itemQuantity(item) > 0));
+    if (invalid.length) {
+      return sendLine(sock, { type: 'error', message: 'invalid_quantity', packageId: pkg.packageId, orderId: pkg.orderId, items: invalid });
+    }
+    fulfilment.lines = items.map((item) => ({ sku: findSku(item).sku, requested: itemQuantity(item), picked: 0, bins: [] }));
+  }
+
+  const touched = new Set();
+  for (const line of fulfilment.lines) {
+    const wanted = line.requested - line.picked;
+    if (!wanted) continue;
+    const { picked, allocations } = pickStock(line.sku, wanted);
+    line.picked += picked;
+    line.bins.push(...allocations);
+    touched.add(line.sku);
+  }
+
+  const short = fulfilment.lines
+    .filter((line) => line.picked < line.requested)
+    .map(({ sku, requested, picked }) => ({ sku, requested, picked, missing: requested - picked }));
+  fulfilment.status = short.length ? 'short' : 'picked';
+  if (!short.length) pkg.timestamps.picked = nowISO();
+
+  const base = { packageId: pkg.packageId, orderId: pkg.orderId, lines: fulfilment.lines, timestamp: nowISO() };
+  if (short.length) {
+    console.log(`[WMS] Short pick for ${pkg.packageId}: ${short.map((s) => `${s.sku} ${s.picked}/${s.requested}`).join(', ')}`);
+    sendLine(sock, { type: 'pick_short', ...base, short });
+  } else {
+    console.log(`[WMS] Package ${pkg.packageId} picked`);
+    sendLine(sock, { type: 'package_picked', ...base });
+  }
+  for (const sku of touched) {
+    if (totalStock(sku) === 0) sendAndBroadcast(sock, outOfStockEvent(sku));
+  }
+}
+
+// pack_package: { packageId, packStation } — only a fully picked package is packed
+function handlePackPackage(sock, msg) {
+  if (!msg.packageId) return sendLine(sock, { type: 'error', message: 'missing_packageId' });
+  const pkg = packages.get(msg.packageId);
+  if (!pkg) return sendLine(sock, { type: 'error', message: 'package_not_found' });
+  const rejected = fulfilmentError(pkg);
+  if (rejected) return sendLine(sock, rejected);
+  const { fulfilment } = pkg;
+  if (fulfilment.status === 'packed') {
+    return sendLine(sock, { type: 'error', message: 'already_packed', packageId: pkg.packageId, orderId: pkg.orderId });
+  }
+  if (fulfilment.status !== 'picked') {
+    return sendLine(sock, {
+      type: 'error',
+      message: 'pick_incomplete',
+      packageId: pkg.packageId,
+      orderId: pkg.orderId,
+      fulfilment: fulfilment.status,
+      details: `package ${pkg.packageId} is ${fulfilment.status.replace('_', ' ')}; pick it completely before packing`
+    });
+  }
+
+  fulfilment.status = 'packed';
+  fulfilment.packStation = msg.packStation || 'unknown';
+  pkg.timestamps.packed = nowISO();
+  console.log(`[WMS] Package ${pkg.packageId} packed at ${fulfilment.packStation}`);
+  sendLine(sock, { type: 'package_packed', packageId: pkg.packageId, orderId: pkg.orderId, packStation: fulfilment.packStation, timestamp: pkg.timestamps.packed });
+}
+
+// change stock in a bin ({ sku, binId, delta | quantity, reason }); returns the stock_adjusted event or an error
+function applyStockAdjustment({ sku, binId, delta, quantity, reason }) {
+  const result = adjustStock(sku, binId, { delta, quantity });
+  if (result.error) return { type: 'error', message: result.error, sku, binId, details: result.details };
+  console.log(`[WMS] Stock of ${sku} in ${binId}: ${result.previous} -> ${result.quantity}${reason ? ` (${reason})` : ''}`);
+  return { type: 'stock_adjusted', ...result, reason: reason || null, timestamp: nowISO() };
+}
+
+// adjust_stock: { sku, binId, delta } or { sku, binId, quantity }, e.g. a cycle count or a restock
+function handleAdjustStock(sock, msg) {
+  if (!msg.sku) return sendLine(sock, { type: 'error', message: 'missing_sku' });
+  if (!msg.binId) return sendLine(sock, { type: 'error', message: 'missing_binId' });
+  const ev = applyStockAdjustment(msg);
+  sendLine(sock, ev);
+  if (ev.type === 'stock_adjusted' && ev.total === 0 && ev.quantity !== ev.previous) sendAndBroadcast(sock, outOfStockEvent(ev.sku));
+}
+
+// ---------- Heartbeat ----------
+// ping connected adapters every HEARTBEAT_MS and close the ones silent for IDLE_TIMEOUT_MS;
+// their events are kept for when they reconnect
+function heartbeat() {
+  const now = Date.now();
+  for (const [adapterId, info] of adapters) {
+    if (!info.socket) continue;
+    if (now - info.lastSeen > IDLE_TIMEOUT_MS) {
+      console.log(`[TCP] Adapter ${adapterId} silent for ${now - info.lastSeen} ms, closing its connection`);
+      writeLine(info.socket, { type: 'error', message: 'idle_timeout' });
+      info.socket.destroy();
+      continue;
+    }
+    writeLine(info.socket, { type: 'ping', timestamp: nowISO() });
+  }
+}
+const heartbeatTimer = HEARTBEAT_MS > 0 ? setInterval(heartbeat, HEARTBEAT_MS) : null;
+
 // ---------- Start TCP server ----------
 // tcpServer.on('error', (err) => {
 //   console.error('[TCP] Server error:', err);
@@ -263,78 +772,228 @@ tcpServer.listen(WMS_TCP_PORT, '127.0.0.1', () => {
 });
 
 // ---------- Express admin API ----------
-// const app = express();
-// app.use(morgan('dev'));
-// app.use(express.json());
+const app = express();
+app.use(morgan('dev'));
+app.use(express.json());
+
+// GET packages, optionally filtered: ?status=loaded&orderId=o123&vehicleId=v1
+app.get('/api/packages', (req, res) => {
+  const { status, orderId, vehicleId } = req.query;
+  if (status && !PACKAGE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'invalid_status', allowed: PACKAGE_STATUSES });
+  }
+  const list = Array.from(packages.values()).filter((p) =>
+    (!status || p.status === status) &&
+    (!orderId || p.orderId === orderId) &&
+    (!vehicleId || p.assignedVehicle === vehicleId));
+  res.json(list);
+});
 
-// // GET all packages
-// app.get('/api/packages', (req, res) => {
-//   res.json(Array.from(packages.values()));
-// });
+// create a package for test setup (same body as receive_package); it stays 'received'
+// until moved with /transition, so tests control every step
+app.post('/api/packages', (req, res) => {
+  if (!req.body?.orderId) return res.status(400).json({ error: 'missing_orderId' });
+  const badItems = itemsError(req.body);
+  if (badItems) return res.status(400).json({ error: badItems.message, details: badItems.details });
+  const badDimensions = dimensionsError(req.body);
+  if (badDimensions) return res.status(400).json({ error: badDimensions.message, fields: badDimensions.fields, details: badDimensions.details });
+  // same idempotency as receive_package: the existing package is returned with 200
+  const existing = findPackageForOrder(req.body);
+  if (existing) return res.json(existing);
+  const p = createPackage(req.body);
+  console.log(`[WMS] Package ${p.packageId} created via admin API for ${p.orderId}`);
+  broadcastToAdapters(packageEvent(p));
+  return res.status(201).json(p);
+});
 
-// // GET package by orderId or packageId
-// app.get('/api/packages/:id', (req, res) => {
-//   const id = req.params.id;
-//   // try packageId
-//   if (packages.has(id)) return res.json(packages.get(id));
-//   // try find by orderId
-//   const found = Array.from(packages.values()).find((p) => p.orderId === id || p.clientOrderRef === id);
-//   if (found) return res.json(found);
-//   return res.status(404).json({ error: 'not_found' });
-// });
+// GET package by orderId or packageId
+app.get('/api/packages/:id', (req, res) => {
+  const id = req.params.id;
+  // try packageId
+  if (packages.has(id)) return res.json(packages.get(id));
+  // try find by orderId
+  const found = Array.from(packages.values()).find((p) => p.orderId === id || p.clientOrderRef === id);
+  if (found) return res.json(found);
+  return res.status(404).json({ error: 'not_found' });
+});
 
-// // advance package status manually: { "to": "loaded" }
-// app.post('/api/simulate/:packageId/advance', (req, res) => {
-//   const pid = req.params.packageId;
-//   if (!packages.has(pid)) return res.status(404).json({ error: 'package_not_found' });
-//   const to = req.body?.to;
-//   const p = packages.get(pid);
-//   if (!to) return res.status(400).json({ error: 'missing_to' });
+// move a package along the lifecycle: { "to": "loaded", "vehicleId": "v1", "reason": "..." }
+// only the moves in PACKAGE_TRANSITIONS are allowed; adapters are told about the change
+app.post('/api/packages/:packageId/transition', (req, res) => {
+  const pid = req.params.packageId;
+  if (!packages.has(pid)) return res.status(404).json({ error: 'package_not_found' });
+  const p = packages.get(pid);
+  const to = req.body?.to;
+  if (!to) return res.status(400).json({ error: 'missing_to' });
+  if (!PACKAGE_STATUSES.includes(to)) return res.status(400).json({ error: 'invalid_target_status', allowed: PACKAGE_STATUSES });
+
+  let rejected = null;
+  if (to === 'loaded' && PACKAGE_TRANSITIONS[p.status].includes('loaded')) {
+    // same manifest and capacity rules as load_package, without the load delay
+    if (!req.body.vehicleId) return res.status(400).json({ error: 'missing_vehicleId' });
+    if (loadsInProgress.has(pid)) return res.status(409).json({ error: 'load_in_progress' });
+    const reserved = reserveVehicleLoad(p, req.body.vehicleId, req.body.dockId);
+    if (reserved.error) return res.status(409).json({ error: reserved.error.message, vehicleId: req.body.vehicleId, details: reserved.error.details });
+    loadOnManifest(p, reserved.manifest);
+  } else {
+    rejected = movePackage(p, to, { scanPoint: req.body.scanPoint, reason: req.body.reason });
+  }
+  if (rejected) {
+    return res.status(409).json({ error: rejected.message, from: p.status, to, allowed: rejected.allowed, details: rejected.details });
+  }
+  console.log(`[WMS] Package ${pid} moved to ${to} via admin API`);
+  broadcastToAdapters(packageEvent(p, req.body.reason));
 
-//   const allowed = ['received', 'ready_for_loading', 'scanned', 'loaded', 'error'];
-//   if (!allowed.includes(to)) return res.status(400).json({ error: 'invalid_target_status', allowed });
+  return res.json({ ok: true, package: p });
+});
 
-//   p.status = to;
-//   p.timestamps[to === 'loaded' ? 'loaded' : to] = nowISO();
-//   // notify all adapters about the manual change for visibility
-//   const ev = { type: `package_${to === 'ready_for_loading' ? 'ready' : to}`, packageId: p.packageId, orderId: p.orderId, status: p.status, timestamp: nowISO() };
-//   broadcastToAdapters(ev);
+// SKUs with stock per bin, optionally filtered: ?zoneId=S&binId=S-01-01&inStock=false
+app.get('/api/inventory', (req, res) => {
+  const { zoneId, binId, inStock } = req.query;
+  if (zoneId && !hasZone(zoneId)) return res.status(400).json({ error: 'unknown_zone' });
+  if (inStock !== undefined && inStock !== 'true' && inStock !== 'false') {
+    return res.status(400).json({ error: 'invalid_inStock', allowed: ['true', 'false'] });
+  }
+  res.json(listInventory({ zoneId, binId, inStock: inStock === undefined ? undefined : inStock === 'true' }));
+});
 
-//   return res.json({ ok: true, package: p });
-// });
+// zones and their bins
+app.get('/api/inventory/locations', (req, res) => {
+  res.json(listLocations());
+});
 
-// // toggle failure mode: {"fail":true}
-// app.post('/api/simulate/fail', (req, res) => {
-//   const fail = req.body?.fail;
-//   if (typeof fail !== 'boolean') return res.status(400).json({ error: 'missing_boolean_fail_field' });
-//   errorMode = fail;
-//   return res.json({ ok: true, errorMode });
-// });
+// reload the seed file, e.g. between test runs; picks already made stay on their packages
+app.post('/api/inventory/reset', (req, res) => {
+  const reloaded = loadInventory(INVENTORY_FILE);
+  console.log(`[WMS] Inventory reset from ${reloaded.file}`);
+  res.json({ ok: true, ...reloaded });
+});
 
-// // status endpoint
-// app.get('/api/status', (req, res) => {
-//   return res.json({
-//     tcpPort: WMS_TCP_PORT,
-//     httpPort: WMS_HTTP_PORT,
-//     adapters: Array.from(adapters.keys()),
-//     packageCount: packages.size,
-//     errorMode,
-//     defaultDelayMs: DEFAULT_DELAY_MS
-//   });
-// });
+app.get('/api/inventory/:sku', (req, res) => {
+  const view = getSkuView(req.params.sku);
+  if (!view) return res.status(404).json({ error: 'unknown_sku' });
+  res.json(view);
+});
 
-// // health
-// app.get('/api/health', (req, res) => res.json({ status: 'ok', time: nowISO() }));
+// same as adjust_stock: { "binId": "S-01-01", "delta": 5, "reason": "restock" } or { "binId": ..., "quantity": 0 }
+app.post('/api/inventory/:sku/adjust', (req, res) => {
+  if (!req.body?.binId) return res.status(400).json({ error: 'missing_binId' });
+  const { binId, delta, quantity, reason } = req.body;
+  const ev = applyStockAdjustment({ sku: req.params.sku, binId, delta, quantity, reason });
+  if (ev.type === 'error') {
+    const status = { unknown_sku: 404, insufficient_stock: 409 }[ev.message] || 400;
+    return res.status(status).json({ error: ev.message, details: ev.details });
+  }
+  broadcastToAdapters(ev);
+  if (ev.total === 0 && ev.quantity !== ev.previous) broadcastToAdapters(outOfStockEvent(ev.sku));
+  res.json({ ok: true, ...ev });
+});
 
-// app.listen(WMS_HTTP_PORT, () => {
-//   console.log(`[WMS MOCK] HTTP admin API listening on http://localhost:${WMS_HTTP_PORT}/api`);
-// });
+// registered vehicles with capacity, and the manifest/dock each one is at
+app.get('/api/vehicles', (req, res) => {
+  res.json(listVehicles());
+});
+
+// loading docks with their schedule and the vehicle currently at each
+app.get('/api/docks', (req, res) => {
+  res.json(listDocks());
+});
+
+// replace a dock's schedule: { "schedule": [{ "vehicleId": "v2", "from": "20:00", "to": "06:00" }] } (UTC, daily)
+app.put('/api/docks/:dockId/schedule', (req, res) => {
+  const result = setDockSchedule(req.params.dockId, req.body?.schedule);
+  if (result.error) return res.status(result.error === 'unknown_dock' ? 404 : 400).json({ error: result.error, details: result.details });
+  console.log(`[WMS] Dock ${req.params.dockId} schedule set (${result.dock.schedule.length} slot(s))`);
+  res.json(result.dock);
+});
+
+// manifests, optionally filtered: ?status=open&vehicleId=v1&dockId=D1
+app.get('/api/manifests', (req, res) => {
+  const { status, vehicleId, dockId } = req.query;
+  if (status && !MANIFEST_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'invalid_status', allowed: MANIFEST_STATUSES });
+  }
+  if (dockId && !hasDock(dockId)) return res.status(400).json({ error: 'unknown_dock' });
+  res.json(listManifests({ status, vehicleId, dockId }));
+});
+
+app.get('/api/manifests/:manifestId', (req, res) => {
+  const manifest = getManifest(req.params.manifestId);
+  if (!manifest) return res.status(404).json({ error: 'manifest_not_found' });
+  res.json(manifestView(manifest));
+});
+
+// toggle failure mode: {"fail":true}
+app.post('/api/simulate/fail', (req, res) => {
+  const fail = req.body?.fail;
+  if (typeof fail !== 'boolean') return res.status(400).json({ error: 'missing_boolean_fail_field' });
+  errorMode = fail;
+  console.log(`[WMS] errorMode ${errorMode ? 'on' : 'off'}`);
+  return res.json({ ok: true, errorMode });
+});
+
+// connected adapters
+app.get('/api/adapters', (req, res) => {
+  res.json(Array.from(adapters.entries()).map(([adapterId, info]) => ({
+    adapterId,
+    connected: Boolean(info.socket),
+    capabilities: info.capabilities,
+    remote: info.remote,
+    connectedAt: new Date(info.connectedAt).toISOString(),
+    lastSeen: new Date(info.lastSeen).toISOString(),
+    disconnectedAt: info.disconnectedAt ? new Date(info.disconnectedAt).toISOString() : null,
+    ...outboxStats(adapterId)
+  })));
+});
+
+// events sent to an adapter that it has not acked yet
+app.get('/api/adapters/:adapterId/outbox', (req, res) => {
+  const { adapterId } = req.params;
+  if (!hasOutbox(adapterId)) return res.status(404).json({ error: 'adapter_not_found' });
+  res.json({ adapterId, ...outboxStats(adapterId), messages: unackedAfter(adapterId) });
+});
+
+// drop an adapter's connection to test reconnects; unacked events wait for its next register_adapter
+app.post('/api/adapters/:adapterId/disconnect', (req, res) => {
+  const info = adapters.get(req.params.adapterId);
+  if (!info) return res.status(404).json({ error: 'adapter_not_found' });
+  if (!info.socket) return res.status(409).json({ error: 'adapter_not_connected' });
+  console.log(`[WMS] Disconnecting adapter ${req.params.adapterId} via admin API`);
+  info.socket.destroy();
+  res.json({ ok: true, adapterId: req.params.adapterId, ...outboxStats(req.params.adapterId) });
+});
+
+// status endpoint
+app.get('/api/status', (req, res) => {
+  return res.json({
+    tcpPort: WMS_TCP_PORT,
+    httpPort: WMS_HTTP_PORT,
+    adapters: Array.from(adapters.entries()).filter(([, info]) => info.socket).map(([adapterId]) => adapterId),
+    packageCount: packages.size,
+    skuCount: skuCount(),
+    openManifests: listManifests({ status: 'open' }).length,
+    errorMode,
+    errorRate: ERROR_RATE,
+    defaultDelayMs: DEFAULT_DELAY_MS,
+    heartbeatMs: HEARTBEAT_MS,
+    idleTimeoutMs: IDLE_TIMEOUT_MS,
+    outboxLimit: OUTBOX_LIMIT
+  });
+});
+
+// health
+app.get('/api/health', (req, res) => res.json({ status: 'ok', time: nowISO() }));
+
+const httpServer = app.listen(WMS_HTTP_PORT, () => {
+  console.log(`[WMS MOCK] HTTP admin API listening on http://localhost:${WMS_HTTP_PORT}/api`);
+});
 
 // ---------- Graceful shutdown ----------
 function shutdown() {
   console.log('[WMS MOCK] Shutting down...');
+  clearInterval(heartbeatTimer);
   tcpServer.close();
-  //app.close?.();
+  httpServer.close();
   process.exit(0);
 }
 process.on('SIGINT', shutdown);
@@ -0,0 +1,282 @@
+// Vehicles, loading docks and load manifests
+//
+// Vehicles and docks are seeded from config/fleet.json (or WMS_FLEET_FILE) at
+// startup; an invalid file stops the server. A vehicle is loaded through a
+// manifest: open_manifest puts it at a dock, loads are checked against its
+// weight/volume capacity, close_manifest ends loading and dispatch_vehicle
+// sends it off and frees the dock. A dock with a schedule only takes the
+// vehicles booked into it at the current time (UTC, daily slots).
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+const DEFAULT_FLEET_FILE = fileURLToPath(new URL('../config/fleet.json', import.meta.url));
+export const MANIFEST_STATUSES = ['open', 'closed', 'dispatched'];
+
+const vehicles = new Map(); // vehicleId -> { vehicleId, type, plate, maxWeightKg, maxVolumeM3 }
+const docks = new Map(); // dockId -> { dockId, name, schedule: [{ vehicleId, from, to }] }
+const manifests = new Map(); // manifestId -> manifest, see openManifest
+
+function isMeasure(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// keep totals free of floating point noise (0.30000000000000004)
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// daily slot in UTC; to before from wraps past midnight
+function minutesOf(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function scheduleError(schedule, knownVehicles) {
+  if (!Array.isArray(schedule)) return 'schedule must be an array';
+  for (const [i, slot] of schedule.entries()) {
+    if (!slot || !knownVehicles.has(slot.vehicleId)) return `schedule[${i}] needs a known vehicleId`;
+    if (![slot.from, slot.to].every((t) => /^([01]\d|2[0-3]):[0-5]\d$/.test(t || ''))) {
+      return `schedule[${i}] needs from and to as HH:MM`;
+    }
+  }
+  return null;
+}
+
+function normaliseFleet(raw) {
+  const vehicleList = raw.vehicles || [];
+  const dockList = raw.docks || [];
+  if (!Array.isArray(vehicleList) || !Array.isArray(dockList)) throw new Error('Fleet file needs "vehicles" and "docks" arrays');
+
+  const newVehicles = new Map();
+  vehicleList.forEach((v, i) => {
+    if (!v.vehicleId) throw new Error(`Fleet vehicles[${i}] needs a vehicleId`);
+    if (newVehicles.has(v.vehicleId)) throw new Error(`Fleet vehicle "${v.vehicleId}" is listed twice`);
+    if (!isMeasure(v.maxWeightKg) || !isMeasure(v.maxVolumeM3)) {
+      throw new Error(`Fleet vehicle "${v.vehicleId}" needs maxWeightKg and maxVolumeM3 >= 0`);
+    }
+    newVehicles.set(v.vehicleId, { vehicleId: v.vehicleId, type: v.type || null, plate: v.plate || null, maxWeightKg: v.maxWeightKg, maxVolumeM3: v.maxVolumeM3 });
+  });
+
+  const newDocks = new Map();
+  dockList.forEach((d, i) => {
+    if (!d.dockId) throw new Error(`Fleet docks[${i}] needs a dockId`);
+    if (newDocks.has(d.dockId)) throw new Error(`Fleet dock "${d.dockId}" is listed twice`);
+    const problem = scheduleError(d.schedule || [], newVehicles);
+    if (problem) throw new Error(`Fleet dock "${d.dockId}": ${problem}`);
+    newDocks.set(d.dockId, { dockId: d.dockId, name: d.name || d.dockId, schedule: d.schedule || [] });
+  });
+
+  return { vehicles: newVehicles, docks: newDocks };
+}
+
+/**
+ * Load vehicles and docks from a seed file.
+ * @param {string} [file]
+ * @returns {{ file: string, vehicles: number, docks: number }}
+ */
+export function loadFleet(file = DEFAULT_FLEET_FILE) {
+  const loaded = normaliseFleet(JSON.parse(fs.readFileSync(file, 'utf8')));
+  for (const [name, store] of [['vehicles', vehicles], ['docks', docks]]) {
+    store.clear();
+    for (const [key, value] of loaded[name]) store.set(key, value);
+  }
+  return { file, vehicles: vehicles.size, docks: docks.size };
+}
+
+// manifest a vehicle or dock is busy with (open or closed, not yet dispatched)
+function activeManifest(match) {
+  return Array.from(manifests.values()).find((m) => m.status !== 'dispatched' && match(m)) || null;
+}
+
+function isBooked(dock, vehicleId, now) {
+  if (!dock.schedule.length) return true;
+  const minute = now.getUTCHours() * 60 + now.getUTCMinutes();
+  return dock.schedule.some((slot) => {
+    if (slot.vehicleId !== vehicleId) return false;
+    const from = minutesOf(slot.from);
+    const to = minutesOf(slot.to);
+    return from <= to ? minute >= from && minute < to : minute >= from || minute < to;
+  });
+}
+
+function loadedTotals(manifest) {
+  const all = [...manifest.packages, ...manifest.loading.values()];
+  return {
+    packages: manifest.packages.length,
+    weightKg: round(all.reduce((sum, p) => sum + p.weightKg, 0)),
+    volumeM3: round(all.reduce((sum, p) => sum + p.volumeM3, 0))
+  };
+}
+
+// JSON view of a manifest; totals cover loaded packages and loads under way
+export function manifestView(manifest) {
+  const vehicle = vehicles.get(manifest.vehicleId);
+  return {
+    manifestId: manifest.manifestId,
+    vehicleId: manifest.vehicleId,
+    dockId: manifest.dockId,
+    status: manifest.status,
+    capacity: { maxWeightKg: vehicle.maxWeightKg, maxVolumeM3: vehicle.maxVolumeM3 },
+    packages: manifest.packages,
+    loading: Array.from(manifest.loading.keys()),
+    totals: loadedTotals(manifest),
+    openedAt: manifest.openedAt,
+    closedAt: manifest.closedAt,
+    dispatchedAt: manifest.dispatchedAt
+  };
+}
+
+export function listVehicles() {
+  return Array.from(vehicles.values()).map((v) => {
+    const manifest = activeManifest((m) => m.vehicleId === v.vehicleId);
+    return { ...v, manifestId: manifest ? manifest.manifestId : null, dockId: manifest ? manifest.dockId : null };
+  });
+}
+
+export function listDocks() {
+  return Array.from(docks.values()).map((d) => {
+    const manifest = activeManifest((m) => m.dockId === d.dockId);
+    return { ...d, manifestId: manifest ? manifest.manifestId : null, vehicleId: manifest ? manifest.vehicleId : null };
+  });
+}
+
+export function hasDock(dockId) {
+  return docks.has(dockId);
+}
+
+// replace a dock's schedule; an empty schedule opens the dock to every vehicle
+export function setDockSchedule(dockId, schedule) {
+  const dock = docks.get(dockId);
+  if (!dock) return { error: 'unknown_dock', details: `dock ${dockId} does not exist` };
+  const problem = scheduleError(schedule, vehicles);
+  if (problem) return { error: 'invalid_schedule', details: problem };
+  dock.schedule = schedule.map(({ vehicleId, from, to }) => ({ vehicleId, from, to }));
+  return { dock };
+}
+
+export function listManifests({ status, vehicleId, dockId } = {}) {
+  return Array.from(manifests.values())
+    .filter((m) => (!status || m.status === status) && (!vehicleId || m.vehicleId === vehicleId) && (!dockId || m.dockId === dockId))
+    .map(manifestView);
+}
+
+export function getManifest(manifestId) {
+  return manifests.get(manifestId) || null;
+}
+
+/**
+ * Manifest named by manifestId, or else the vehicle's current one.
+ * @returns {{ manifest } | { error: string, details: string }}
+ */
+export function findManifest({ manifestId, vehicleId }) {
+  if (manifestId) {
+    const manifest = manifests.get(manifestId);
+    return manifest ? { manifest } : { error: 'manifest_not_found', details: `manifest ${manifestId} does not exist` };
+  }
+  if (!vehicleId) return { error: 'missing_manifestId', details: 'give a manifestId or a vehicleId' };
+  if (!vehicles.has(vehicleId)) return { error: 'unknown_vehicle', details: `vehicle ${vehicleId} is not registered` };
+  const manifest = activeManifest((m) => m.vehicleId === vehicleId);
+  return manifest ? { manifest } : { error: 'manifest_not_found', details: `vehicle ${vehicleId} has no manifest at a dock` };
+}
+
+/**
+ * Put a vehicle at a dock with a new, open manifest.
+ * @returns {{ manifest } | { error: string, details: string }}
+ */
+export function openManifest(vehicleId, dockId, now = new Date()) {
+  if (!vehicles.has(vehicleId)) return { error: 'unknown_vehicle', details: `vehicle ${vehicleId} is not registered` };
+  const dock = docks.get(dockId);
+  if (!dock) return { error: 'unknown_dock', details: `dock ${dockId} does not exist` };
+  const busyVehicle = activeManifest((m) => m.vehicleId === vehicleId);
+  if (busyVehicle) {
+    return { error: 'vehicle_busy', details: `vehicle ${vehicleId} is at dock ${busyVehicle.dockId} with manifest ${busyVehicle.manifestId}` };
+  }
+  const busyDock = activeManifest((m) => m.dockId === dockId);
+  if (busyDock) return { error: 'dock_occupied', details: `dock ${dockId} is in use by vehicle ${busyDock.vehicleId}` };
+  if (!isBooked(dock, vehicleId, now)) {
+    return { error: 'dock_not_scheduled', details: `vehicle ${vehicleId} has no slot at dock ${dockId} at ${now.toISOString().slice(11, 16)} UTC` };
+  }
+
+  const manifest = {
+    manifestId: 'mf-' + uuidv4().split('-')[0].toUpperCase(),
+    vehicleId,
+    dockId,
+    status: 'open',
+    packages: [], // { packageId, orderId, weightKg, volumeM3, loadedAt }
+    loading: new Map(), // packageId -> same, while the load delay runs
+    openedAt: now.toISOString(),
+    closedAt: null,
+    dispatchedAt: null
+  };
+  manifests.set(manifest.manifestId, manifest);
+  return { manifest };
+}
+
+/**
+ * Reserve room for a package on the vehicle's open manifest; dockId, when given, must be its dock.
+ * @param {{ packageId, orderId, weightKg, volumeM3 }} load
+ * @returns {{ manifest } | { error: string, details: string }}
+ */
+export function reserveLoad(vehicleId, dockId, load) {
+  const vehicle = vehicles.get(vehicleId);
+  if (!vehicle) return { error: 'unknown_vehicle', details: `vehicle ${vehicleId} is not registered` };
+  const manifest = activeManifest((m) => m.vehicleId === vehicleId);
+  if (!manifest) return { error: 'dock_not_assigned', details: `vehicle ${vehicleId} is not at a dock; open a manifest first` };
+  if (manifest.status !== 'open') return { error: 'manifest_closed', details: `manifest ${manifest.manifestId} of vehicle ${vehicleId} is closed` };
+  if (dockId && dockId !== manifest.dockId) {
+    return { error: 'wrong_dock', details: `vehicle ${vehicleId} is at dock ${manifest.dockId}, not ${dockId}` };
+  }
+
+  const totals = loadedTotals(manifest);
+  const weight = round(totals.weightKg + load.weightKg);
+  const volume = round(totals.volumeM3 + load.volumeM3);
+  if (weight > vehicle.maxWeightKg) {
+    return { error: 'capacity_exceeded', details: `weight would be ${weight} kg, vehicle ${vehicleId} takes ${vehicle.maxWeightKg} kg` };
+  }
+  if (volume > vehicle.maxVolumeM3) {
+    return { error: 'capacity_exceeded', details: `volume would be ${volume} m3, vehicle ${vehicleId} takes ${vehicle.maxVolumeM3} m3` };
+  }
+  manifest.loading.set(load.packageId, { ...load });
+  return { manifest };
+}
+
+// the reserved load is on the vehicle
+export function completeLoad(manifest, packageId, loadedAt) {
+  const load = manifest.loading.get(packageId);
+  manifest.loading.delete(packageId);
+  manifest.packages.push({ ...load, loadedAt });
+}
+
+export function cancelLoad(manifest, packageId) {
+  manifest.loading.delete(packageId);
+}
+
+// a loaded package left the vehicle before dispatch (damaged, lost, unloaded); dispatched manifests stay as they were
+export function unloadPackage(manifestId, packageId) {
+  const manifest = manifests.get(manifestId);
+  if (!manifest || manifest.status === 'dispatched') return;
+  manifest.packages = manifest.packages.filter((p) => p.packageId !== packageId);
+}
+
+// no more loads on this manifest
+export function closeManifest(manifest, now = new Date()) {
+  if (manifest.status !== 'open') return { error: 'manifest_not_open', details: `manifest ${manifest.manifestId} is ${manifest.status}` };
+  if (manifest.loading.size) {
+    return { error: 'load_in_progress', details: `manifest ${manifest.manifestId} is still loading ${Array.from(manifest.loading.keys()).join(', ')}` };
+  }
+  manifest.status = 'closed';
+  manifest.closedAt = now.toISOString();
+  return { manifest };
+}
+
+// vehicle leaves with a closed, non-empty manifest; its dock is free again
+export function dispatchManifest(manifest, now = new Date()) {
+  if (manifest.status !== 'closed') {
+    return { error: 'manifest_not_closed', details: `manifest ${manifest.manifestId} is ${manifest.status}; close it before dispatch` };
+  }
+  if (!manifest.packages.length) return { error: 'manifest_empty', details: `manifest ${manifest.manifestId} has no packages` };
+  manifest.status = 'dispatched';
+  manifest.dispatchedAt = now.toISOString();
+  return { manifest };
+}
@@ -0,0 +1,181 @@
+// Warehouse inventory: SKUs stocked in bins, bins grouped in zones
+//
+// Seeded from config/inventory.json (or WMS_INVENTORY_FILE) at startup; an
+// invalid file stops the server. Stock only changes through pickStock() and
+// adjustStock(), and is lost on restart like the rest of the mock's state.
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_INVENTORY_FILE = fileURLToPath(new URL('../config/inventory.json', import.meta.url));
+
+const zones = new Map(); // zoneId -> { zoneId, name }
+const bins = new Map(); // binId -> { binId, zoneId }
+const skus = new Map(); // sku -> { sku, name, weightKg, volumeM3, stock: Map(binId -> quantity) }, bins in pick order
+
+function isQuantity(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isMeasure(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function normaliseInventory(raw) {
+  const zoneList = raw.zones || [];
+  const binList = raw.bins || [];
+  const skuList = raw.skus || [];
+  if (!Array.isArray(zoneList) || !Array.isArray(binList) || !Array.isArray(skuList)) {
+    throw new Error('Inventory file needs "zones", "bins" and "skus" arrays');
+  }
+
+  const newZones = new Map();
+  zoneList.forEach((zone, i) => {
+    if (!zone.zoneId) throw new Error(`Inventory zones[${i}] needs a zoneId`);
+    if (newZones.has(zone.zoneId)) throw new Error(`Inventory zone "${zone.zoneId}" is listed twice`);
+    newZones.set(zone.zoneId, { zoneId: zone.zoneId, name: zone.name || zone.zoneId });
+  });
+
+  const newBins = new Map();
+  binList.forEach((bin, i) => {
+    if (!bin.binId) throw new Error(`Inventory bins[${i}] needs a binId`);
+    if (newBins.has(bin.binId)) throw new Error(`Inventory bin "${bin.binId}" is listed twice`);
+    if (!newZones.has(bin.zoneId)) throw new Error(`Inventory bin "${bin.binId}" is in unknown zone "${bin.zoneId}"`);
+    newBins.set(bin.binId, { binId: bin.binId, zoneId: bin.zoneId });
+  });
+
+  const newSkus = new Map();
+  skuList.forEach((entry, i) => {
+    if (!entry.sku) throw new Error(`Inventory skus[${i}] needs a sku`);
+    if (newSkus.has(entry.sku)) throw new Error(`Inventory SKU "${entry.sku}" is listed twice`);
+    for (const field of ['weightKg', 'volumeM3']) {
+      if (entry[field] !== undefined && !isMeasure(entry[field])) throw new Error(`Inventory SKU "${entry.sku}" needs a ${field} >= 0`);
+    }
+    const stock = new Map();
+    (entry.stock || []).forEach(({ binId, quantity }) => {
+      if (!newBins.has(binId)) throw new Error(`Inventory SKU "${entry.sku}" is stocked in unknown bin "${binId}"`);
+      if (stock.has(binId)) throw new Error(`Inventory SKU "${entry.sku}" lists bin "${binId}" twice`);
+      if (!isQuantity(quantity)) throw new Error(`Inventory SKU "${entry.sku}" in bin "${binId}" needs a whole quantity >= 0`);
+      stock.set(binId, quantity);
+    });
+    newSkus.set(entry.sku, { sku: entry.sku, name: entry.name || entry.sku, weightKg: entry.weightKg || 0, volumeM3: entry.volumeM3 || 0, stock });
+  });
+
+  return { zones: newZones, bins: newBins, skus: newSkus };
+}
+
+/**
+ * Replace the inventory with the contents of a seed file.
+ * @param {string} [file]
+ * @returns {{ file: string, zones: number, bins: number, skus: number }}
+ */
+export function loadInventory(file = DEFAULT_INVENTORY_FILE) {
+  const loaded = normaliseInventory(JSON.parse(fs.readFileSync(file, 'utf8')));
+  for (const [name, store] of [['zones', zones], ['bins', bins], ['skus', skus]]) {
+    store.clear();
+    for (const [key, value] of loaded[name]) store.set(key, value);
+  }
+  return { file, zones: zones.size, bins: bins.size, skus: skus.size };
+}
+
+// SKU for a package item: its sku, or else its name matched against SKU names (case-insensitive)
+export function findSku(item) {
+  if (item === null || typeof item !== 'object') return null;
+  if (item.sku) return skus.get(item.sku) || null;
+  const name = String(item.name || '').toLowerCase();
+  return Array.from(skus.values()).find((s) => s.name.toLowerCase() === name) || null;
+}
+
+export function totalStock(sku) {
+  let total = 0;
+  for (const quantity of skus.get(sku).stock.values()) total += quantity;
+  return total;
+}
+
+// JSON view of a SKU with its bin locations
+function skuView(entry) {
+  return {
+    sku: entry.sku,
+    name: entry.name,
+    weightKg: entry.weightKg,
+    volumeM3: entry.volumeM3,
+    total: totalStock(entry.sku),
+    locations: Array.from(entry.stock.entries()).map(([binId, quantity]) => ({ binId, zoneId: bins.get(binId).zoneId, quantity }))
+  };
+}
+
+export function getSkuView(sku) {
+  return skus.has(sku) ? skuView(skus.get(sku)) : null;
+}
+
+/**
+ * SKUs with their stock, optionally filtered to those stocked in a zone or bin
+ * @param {{ zoneId?: string, binId?: string, inStock?: boolean }} [filters]
+ */
+export function listInventory({ zoneId, binId, inStock } = {}) {
+  return Array.from(skus.values())
+    .map(skuView)
+    .map((view) => ({
+      ...view,
+      locations: view.locations.filter((l) => (!zoneId || l.zoneId === zoneId) && (!binId || l.binId === binId))
+    }))
+    .filter((view) => (!zoneId && !binId) || view.locations.length)
+    .filter((view) => inStock === undefined || (view.total > 0) === inStock);
+}
+
+export function listLocations() {
+  return Array.from(zones.values()).map((zone) => ({
+    ...zone,
+    bins: Array.from(bins.values()).filter((b) => b.zoneId === zone.zoneId).map((b) => b.binId)
+  }));
+}
+
+export function hasZone(zoneId) {
+  return zones.has(zoneId);
+}
+
+export function skuCount() {
+  return skus.size;
+}
+
+/**
+ * Take up to `quantity` units of a SKU, emptying bins in their listed order.
+ * @returns {{ picked: number, allocations: Array<{ binId: string, quantity: number }> }}
+ */
+export function pickStock(sku, quantity) {
+  const { stock } = skus.get(sku);
+  const allocations = [];
+  let remaining = quantity;
+  for (const [binId, available] of stock) {
+    if (!remaining) break;
+    const take = Math.min(available, remaining);
+    if (!take) continue;
+    stock.set(binId, available - take);
+    allocations.push({ binId, quantity: take });
+    remaining -= take;
+  }
+  return { picked: quantity - remaining, allocations };
+}
+
+/**
+ * Change the stock of a SKU in one bin, by `delta` or to an absolute `quantity`.
+ * A SKU can be put into any known bin this way.
+ * @returns {{ sku, binId, previous, quantity, total } | { error: string, details: string }}
+ */
+export function adjustStock(sku, binId, { delta, quantity }) {
+  const entry = skus.get(sku);
+  if (!entry) return { error: 'unknown_sku', details: `SKU ${sku} is not in the inventory` };
+  if (!bins.has(binId)) return { error: 'unknown_bin', details: `bin ${binId} does not exist` };
+  if ((delta === undefined) === (quantity === undefined)) {
+    return { error: 'invalid_adjustment', details: 'give either delta or quantity' };
+  }
+  if (delta !== undefined && !Number.isInteger(delta)) return { error: 'invalid_adjustment', details: 'delta must be a whole number' };
+  if (quantity !== undefined && !isQuantity(quantity)) return { error: 'invalid_adjustment', details: 'quantity must be a whole number >= 0' };
+
+  const previous = entry.stock.get(binId) || 0;
+  const next = quantity !== undefined ? quantity : previous + delta;
+  if (next < 0) {
+    return { error: 'insufficient_stock', details: `bin ${binId} holds ${previous} of ${sku}, cannot remove ${-delta}` };
+  }
+  entry.stock.set(binId, next);
+  return { sku, binId, previous, quantity: next, total: totalStock(sku) };
+}
@@ -0,0 +1,76 @@
+// Per-adapter outbound sequence numbers and the events an adapter has not acknowledged
+//
+// Every message the WMS sends to a registered adapter gets the next `seq` of
+// that adapter and stays here until the adapter acks it (cumulatively, like
+// TCP). Outboxes outlive connections, so an adapter that reconnects under the
+// same adapterId can be sent what it missed. At most WMS_OUTBOX_LIMIT unacked
+// messages are kept per adapter; older ones are dropped and reported as a gap.
+export const OUTBOX_LIMIT = parseInt(process.env.WMS_OUTBOX_LIMIT || '1000', 10);
+
+const outboxes = new Map(); // adapterId -> { lastSeq, lastAckedSeq, droppedThroughSeq, unacked: Map(seq -> message) }
+
+export function ensureOutbox(adapterId) {
+  if (!outboxes.has(adapterId)) {
+    outboxes.set(adapterId, { lastSeq: 0, lastAckedSeq: 0, droppedThroughSeq: 0, unacked: new Map() });
+  }
+  return outboxes.get(adapterId);
+}
+
+export function hasOutbox(adapterId) {
+  return outboxes.has(adapterId);
+}
+
+export function removeOutbox(adapterId) {
+  outboxes.delete(adapterId);
+}
+
+export function outboxAdapterIds() {
+  return Array.from(outboxes.keys());
+}
+
+/**
+ * Number a message for an adapter and keep it until acknowledged.
+ * Only adapters with an outbox (see ensureOutbox) are sent anything.
+ * @returns {object|null} the message with its seq, ready to send, or null without an outbox
+ */
+export function enqueue(adapterId, obj) {
+  const box = outboxes.get(adapterId);
+  if (!box) return null;
+  const message = { ...obj, seq: ++box.lastSeq };
+  box.unacked.set(message.seq, message);
+  if (box.unacked.size > OUTBOX_LIMIT) {
+    const [oldest] = box.unacked.keys();
+    box.unacked.delete(oldest);
+    box.droppedThroughSeq = oldest;
+    console.warn(`[WMS] Outbox of ${adapterId} is full (${OUTBOX_LIMIT}); dropped unacked seq ${oldest}`);
+  }
+  return message;
+}
+
+/**
+ * Acknowledge everything up to and including `seq`.
+ * @returns {{ acked: number } | { error: string, details: string }}
+ */
+export function acknowledge(adapterId, seq) {
+  const box = outboxes.get(adapterId);
+  if (!Number.isInteger(seq) || seq < 0) return { error: 'invalid_seq', details: 'seq must be a whole number >= 0' };
+  if (seq > box.lastSeq) return { error: 'invalid_seq', details: `seq ${seq} has not been sent yet (last sent ${box.lastSeq})` };
+  let acked = 0;
+  for (const pending of box.unacked.keys()) {
+    if (pending > seq) break;
+    box.unacked.delete(pending);
+    acked += 1;
+  }
+  box.lastAckedSeq = Math.max(box.lastAckedSeq, seq);
+  return { acked };
+}
+
+// unacked messages after `seq`, oldest first
+export function unackedAfter(adapterId, seq = 0) {
+  return Array.from(ensureOutbox(adapterId).unacked.values()).filter((m) => m.seq > seq);
+}
+
+export function outboxStats(adapterId) {
+  const box = ensureOutbox(adapterId);
+  return { lastSeq: box.lastSeq, lastAckedSeq: box.lastAckedSeq, unacked: box.unacked.size, droppedThroughSeq: box.droppedThroughSeq };
+}